@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+import fs from "fs";
+import { parseArgs } from "util";
+
+import { sha1, configureNormalizers, normalize, codeBlock } from "./lib/utils.js";
+import { DEFAULT_CONFIG_PATH, parseConfig } from "./lib/config.js";
+import { loadLogsFromPath } from "./lib/local-logs.js";
+import { resolveRulePacks } from "./lib/rule-packs/index.js";
+import { createLocalFileStore } from "./lib/pattern-stores/index.js";
+import { upsertIssueForSignature, computeTimeToFix, applySeverityOverrides } from "./lib/pattern-tracker.js";
+import { buildDigest, renderDigest } from "./lib/digest.js";
+import { renderDashboard } from "./lib/dashboard.js";
+import { RUNBOOK_SLUGS, parseCustomRules, applyCustomRuleOverrides, hintFor, hitSignature, getDeployRisk, applyRuleOverrides, enableRulePacks, classifyCategory, findFirstErrorAcrossTexts, findAllErrorsAcrossTexts } from "./lib/error-detector.js";
+
+const USAGE = `Usage: ci-failure-analyzer analyze <path> [options]
+       ci-failure-analyzer report <patterns-file> [options]
+       ci-failure-analyzer dashboard <patterns-file> [--output <file>]
+
+Analyze a local .log/.txt file, a directory of logs, or a downloaded
+GitHub Actions logs zip, using the same rules as the Action. Or summarize
+a pattern file written with --patterns as a digest or an HTML dashboard.
+
+Options:
+  --config <file>             Repository config file (default:
+                              .github/ci-failure-analyzer.yml when present)
+  --custom-rules <json|file>  Custom rules as a JSON string or path to a JSON file
+  --format <markdown|json>    Output format (default: markdown)
+  --multi-hit                 Report every distinct error, not just the best one
+  --max-errors <n>            Cap on distinct errors in multi-hit mode (default: 10)
+  --runbook-url <url>         Base URL for runbook links
+  --rule-packs <list>         Rule packs to enable: all (default), none, or ids
+                              such as rust,terraform or all,!ruby
+  --patterns <file>           Record hits in a local pattern file (JSON or
+                              .ndjson) and report how often each recurred
+  --similarity <0-1>          Group near-identical signatures in --patterns
+  --window-days <n>           Digest window for report (default: 7)
+  --notify-threshold <n>      List patterns that crossed this count (report)
+  --output <file>             Dashboard file to write (default: dashboard.html)
+  -h, --help                  Show this help
+`;
+
+function warn(msg) {
+  process.stderr.write(`warning: ${msg}\n`);
+}
+
+// Same file the Action reads. The default path is optional; an explicit
+// --config must exist.
+function readConfig(configPath) {
+  const file = configPath || DEFAULT_CONFIG_PATH;
+  if (!fs.existsSync(file)) {
+    if (configPath) throw new Error(`No config file at ${configPath}`);
+    return {};
+  }
+  return parseConfig(fs.readFileSync(file, "utf8"), file);
+}
+
+function readCustomRules(value) {
+  if (!value) return [];
+  const raw = fs.existsSync(value) ? fs.readFileSync(value, "utf8") : value;
+  return parseCustomRules(raw, { warn });
+}
+
+// Applies the config the way the Action does: rule packs first, then config
+// overrides and normalizers; options win over the config file.
+function setUpRules(opts) {
+  const config = readConfig(opts.config);
+
+  const { packs, unknown } = resolveRulePacks(opts["rule-packs"] || config.rule_packs || "all");
+  if (unknown.length > 0) warn(`unknown rule pack(s): ${unknown.join(", ")}`);
+  enableRulePacks(packs);
+  for (const p of packs) applySeverityOverrides(p.severity);
+
+  applyRuleOverrides({ hints: config.hints, runbookSlugs: config.runbook_slugs, deployRisk: config.deploy_risk });
+  applySeverityOverrides(config.severity);
+  configureNormalizers(config.normalize);
+
+  const optionRules = readCustomRules(opts["custom-rules"]);
+  const customRules = [
+    ...parseCustomRules(config.rules, { warn }).filter((r) => !optionRules.some((o) => o.name === r.name)),
+    ...optionRules
+  ];
+  applySeverityOverrides(applyCustomRuleOverrides(customRules));
+
+  return { customRules, tracking: config.tracking || {} };
+}
+
+function toResult(hit, customRules, runbookUrl) {
+  const [hint, secondaryHint] = hintFor(hit.rule, customRules, hit.line);
+  const slug = RUNBOOK_SLUGS[hit.rule] || hit.rule.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  return {
+    file: hit.fileName,
+    step: hit.stepName,
+    line: hit.lineIndex + 1,
+    errorType: hit.rule,
+    category: classifyCategory(hit.rule),
+    confidence: hit.confidence,
+    score: hit.score,
+    error: normalize(hit.line),
+    test: hit.testFailure || null,
+    hint,
+    secondaryHint,
+    deployRisk: getDeployRisk(hit.rule),
+    runbook: runbookUrl ? `${runbookUrl}/${slug}` : "",
+    context: (hit.excerpt || []).slice(0, 16).map(normalize).join("\n")
+  };
+}
+
+function renderMarkdown(inputPath, results) {
+  const out = ["### CI Failure Analyzer\n", `- Source: \`${inputPath}\`\n`];
+
+  if (results.length === 0) {
+    out.push("- No obvious error signature found (rules too limited or logs too noisy).\n");
+    return out.join("");
+  }
+
+  for (const r of results) {
+    out.push(
+      `\n#### ${r.errorType} in ${r.step}\n` +
+      `- Source log: \`${r.file}\` (line ${r.line})\n` +
+      `- Confidence: **${r.confidence}** (score ${r.score})\n` +
+      (r.category === "infra" ? "- Category: **infrastructure**\n" : "") +
+      (r.category === "cancelled" ? "- Category: **cancelled**\n" : "") +
+      (r.test ? `- Failing test: \`${[r.test.suite, r.test.test].filter(Boolean).join(" › ")}\`${r.test.message ? ` — ${r.test.message}` : ""}\n` : "") +
+      `- Deploy risk: **${r.deployRisk}**\n` +
+      `- Error (normalized):${codeBlock(r.error)}\n` +
+      `- Likely fix: ${r.hint}\n` +
+      (r.secondaryHint ? `- Also check: ${r.secondaryHint}\n` : "") +
+      (r.runbook ? `- [Runbook](${r.runbook})\n` : "") +
+      (r.pattern ? `- Pattern: ${r.pattern.kind}, seen ${r.pattern.totalOccurrences} time(s), severity **${r.pattern.severity}**\n` : "") +
+      `- Context:${codeBlock(r.context)}`
+    );
+  }
+
+  return out.join("");
+}
+
+// Records each hit in a local pattern file, the same way the Action tracks
+// patterns in issues or on a branch.
+async function trackLocally(hits, results, { filePath, inputPath, similarity }) {
+  const store = createLocalFileStore({ filePath });
+  const when = new Date().toISOString();
+
+  for (let i = 0; i < hits.length; i++) {
+    const signature = hitSignature(hits[i]);
+    const res = await upsertIssueForSignature({
+      store, signature, signatureHash: sha1(signature),
+      occurrence: { when, runUrl: `file:${inputPath}` },
+      ruleName: hits[i].rule, notifyThreshold: 0, similarity
+    });
+    results[i].pattern = { kind: res.kind, totalOccurrences: res.totalOccurrences, severity: res.severity };
+  }
+
+  await store.flush();
+}
+
+async function analyze(inputPath, opts) {
+  const format = opts.format || "markdown";
+  if (!["markdown", "json"].includes(format)) {
+    throw new Error(`Unknown --format "${format}" (expected markdown or json)`);
+  }
+
+  const { customRules, tracking } = setUpRules(opts);
+  const runbookUrl = (opts["runbook-url"] || "").replace(/\/+$/, "");
+  const maxHits = Math.max(1, parseInt(opts["max-errors"] || "10", 10) || 10);
+
+  const textFiles = loadLogsFromPath(inputPath);
+  const hits = opts["multi-hit"]
+    ? findAllErrorsAcrossTexts(textFiles, customRules, { maxHits })
+    : [findFirstErrorAcrossTexts(textFiles, customRules)].filter(Boolean);
+
+  const results = hits.map((h) => toResult(h, customRules, runbookUrl));
+  if (opts.patterns) {
+    const similarity = Math.min(1, Math.max(0, parseFloat(opts.similarity ?? tracking.similarity) || 0));
+    await trackLocally(hits, results, { filePath: opts.patterns, inputPath, similarity });
+  }
+
+  if (format === "json") return JSON.stringify(results, null, 2);
+  return renderMarkdown(inputPath, results);
+}
+
+async function report(filePath, opts) {
+  const format = opts.format || "markdown";
+  if (!["markdown", "json"].includes(format)) {
+    throw new Error(`Unknown --format "${format}" (expected markdown or json)`);
+  }
+  if (!fs.existsSync(filePath)) throw new Error(`No pattern file at ${filePath}`);
+
+  const store = createLocalFileStore({ filePath });
+  const digest = buildDigest(await store.list({ state: "all" }), {
+    windowDays: Math.max(1, parseInt(opts["window-days"] || "7", 10) || 7),
+    notifyThreshold: Math.max(0, parseInt(opts["notify-threshold"] || "0", 10) || 0),
+    fixTimes: await computeTimeToFix(store)
+  });
+
+  if (format === "json") return JSON.stringify(digest, null, 2);
+  return renderDigest(digest);
+}
+
+async function dashboard(filePath, opts) {
+  if (!fs.existsSync(filePath)) throw new Error(`No pattern file at ${filePath}`);
+  const patterns = await createLocalFileStore({ filePath }).list({ state: "all" });
+  const output = opts.output || "dashboard.html";
+  fs.writeFileSync(output, renderDashboard(patterns), "utf8");
+  return `Wrote dashboard of ${patterns.length} pattern(s) to ${output}`;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        config: { type: "string" },
+        "custom-rules": { type: "string" },
+        format: { type: "string" },
+        "multi-hit": { type: "boolean" },
+        "max-errors": { type: "string" },
+        "runbook-url": { type: "string" },
+        "rule-packs": { type: "string" },
+        patterns: { type: "string" },
+        similarity: { type: "string" },
+        "window-days": { type: "string" },
+        "notify-threshold": { type: "string" },
+        output: { type: "string" },
+        help: { type: "boolean", short: "h" }
+      }
+    });
+  } catch (e) {
+    process.stderr.write(`${e.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const [command, inputPath] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    process.stdout.write(USAGE);
+    return parsed.values.help ? 0 : 1;
+  }
+
+  const commands = { analyze, report, dashboard };
+  if (!commands[command] || !inputPath) {
+    process.stderr.write(USAGE);
+    return 1;
+  }
+
+  try {
+    process.stdout.write(await commands[command](inputPath, parsed.values) + "\n");
+    return 0;
+  } catch (e) {
+    process.stderr.write(`ci-failure-analyzer: ${e?.message || e}\n`);
+    return 1;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
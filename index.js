@@ -1,19 +1,52 @@
 import * as core from "@actions/core";
 import * as github from "@actions/github";
 import fs from "fs";
+import path from "path";
 
-import { toBool, clampInt, sha1, normalize, codeBlock, upsertComment, getRunContext } from "./lib/utils.js";
+import { DEFAULT_CONFIG_PATH, loadRepoConfig } from "./lib/config.js";
+import { resolveRulePacks } from "./lib/rule-packs/index.js";
+import { toBool, clampInt, sha1, configureNormalizers, normalize, codeBlock, findComment, upsertComment, getRunContext } from "./lib/utils.js";
 import { downloadJobLogs, extractTextFilesFromZip } from "./lib/log-downloader.js";
-import { RUNBOOK_SLUGS, parseCustomRules, hintFor, getDeployRisk, detectFlaky, extractFilePaths, suggestReviewersForFiles, computeTimeToFix, formatFixTime, findFirstErrorInText, findFirstErrorAcrossTexts } from "./lib/error-detector.js";
-import { upsertIssueForSignature, autoCloseQuietIssues, exportPatternsAsJson } from "./lib/pattern-tracker.js";
+import { RUNBOOK_SLUGS, parseCustomRules, applyCustomRuleOverrides, hintFor, hitSignature, getDeployRisk, applyRuleOverrides, enableRulePacks, classifyCategory, classifyJobVerdict, classifyRunVerdict, detectFlaky, extractFilePaths, suggestReviewersForFiles, formatFixTime, findFirstErrorInText, findFirstErrorAcrossTexts, findAllErrorsAcrossTexts, outranks, listJobAnnotations, jobAnnotationsToHits, mergeJobAnnotationHits } from "./lib/error-detector.js";
+import { decideAutoRetry, rerunFailedJobs, formatRetryNote } from "./lib/auto-retry.js";
+import { findJUnitReports, testCaseToHit } from "./lib/junit-reports.js";
+import { applySeverityOverrides, upsertIssueForSignature, autoCloseQuietIssues, exportPatternsAsJson, computeTimeToFix } from "./lib/pattern-tracker.js";
+import { createPatternStore } from "./lib/pattern-stores/index.js";
+import { buildDigest, renderDigest, upsertDigestIssue } from "./lib/digest.js";
+import { renderDashboard } from "./lib/dashboard.js";
+import { WEBHOOK_FORMATS, parseEvents, notifyPatternEvents } from "./lib/notifications.js";
+import { publishCheckRun } from "./lib/annotations.js";
+import { writeSarifFile } from "./lib/sarif.js";
+import { findSuspectCommits, formatSuspects } from "./lib/suspects.js";
+import { listPrFiles, findBaseJobFailure, recentOccurrenceOn, classifyPrFailure, formatPrVerdictCounts } from "./lib/pr-verdict.js";
+import { parseCommentHistory, recordAttempt, renderFailureComment, renderResolvedComment } from "./lib/pr-comment.js";
 
 const MARKER = "<!-- ci-failure-analyzer:v0 -->";
 
+// Timed-out and cancelled jobs are analyzed too: they are often infrastructure.
+// Listed in the order jobs are analyzed, so siblings cancelled by fail-fast
+// can't take `max_failed_jobs` slots from the jobs that actually failed.
+const ANALYZED_CONCLUSIONS = ["failure", "timed_out", "cancelled"];
+
+const VERDICT_LABELS = {
+  infra: "infrastructure",
+  code: "code",
+  mixed: "infrastructure and code",
+  cancelled: "cancelled",
+  unknown: "unknown"
+};
+
 const OLD_MARKERS = [
   "<!-- ci-failure-explainer:v0 -->",
   "<!-- failure-pattern-detector:v0 -->"
 ];
 
+// Action inputs win over the repo config file; an empty input means "not set".
+function inputOr(name, fallback) {
+  const v = core.getInput(name);
+  return v !== "" ? v : fallback;
+}
+
 function appendStepSummary(markdown) {
   const summaryPath = process.env.GITHUB_STEP_SUMMARY;
   if (!summaryPath) {
@@ -42,115 +75,313 @@ async function deleteOldComments(octokit, { owner, repo, prNumbers }) {
   }
 }
 
+// A green run rewrites the failure comment left by an earlier run of the same
+// workflow. PRs that never failed don't get a comment.
+async function resolvePrComments(octokit, { owner, repo, prNumbers, attempt }) {
+  for (const prNumber of prNumbers.slice(0, 3)) {
+    try {
+      const existing = await findComment(octokit, { owner, repo, issue_number: prNumber, marker: MARKER });
+      if (!existing) continue;
+
+      const previous = parseCommentHistory(existing.body);
+      const last = previous[previous.length - 1];
+      if (last && (last.conclusion === "success" || (last.workflow && last.workflow !== attempt.workflow))) continue;
+
+      const body = renderResolvedComment({ marker: MARKER, history: recordAttempt(previous, attempt) });
+      await upsertComment(octokit, { owner, repo, issue_number: prNumber, body, marker: MARKER, existing });
+      core.info(`PR #${prNumber} comment marked as passing: ${existing.html_url}`);
+    } catch (e) {
+      core.warning(`Could not update the comment on PR #${prNumber}: ${e?.message || e}`);
+    }
+  }
+}
+
+function writeDashboard(patterns, { filePath, defaultSource }) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, renderDashboard(patterns, { defaultSource }), "utf8");
+  core.setOutput("dashboard_path", filePath);
+  core.info(`Wrote dashboard of ${patterns.length} pattern(s) to ${filePath}`);
+}
+
+// Code scanning falls back to the workflow file for findings without a path.
+function workflowFilePath() {
+  return github.context.payload?.workflow_run?.path
+    || (process.env.GITHUB_WORKFLOW_REF || "").replace(/^[^/]+\/[^/]+\//, "").replace(/@.*$/, "");
+}
+
+function writeSarif(findings, { filePath, runUrl }) {
+  writeSarifFile(findings, { filePath, runUrl, fallbackPath: workflowFilePath() });
+  core.setOutput("sarif_path", filePath);
+  core.info(`Wrote ${findings.length} finding(s) as SARIF to ${filePath}`);
+}
+
+// Schedule-triggered digest: summarizes tracked patterns instead of analyzing
+// a run.
+async function runReport(octokit, { store, owner, repo, windowDays, notifyThreshold, title, dashboardPath }) {
+  const patterns = await store.list({ state: "all" });
+  if (dashboardPath) writeDashboard(patterns, { filePath: dashboardPath, defaultSource: `${owner}/${repo}` });
+  const fixTimes = await computeTimeToFix(store);
+  const digest = buildDigest(patterns, { windowDays, notifyThreshold, fixTimes });
+  const markdown = renderDigest(digest);
+
+  appendStepSummary(markdown);
+  core.setOutput("digest_json", JSON.stringify(digest));
+  core.info(`CI Failure Analyzer: digest of ${patterns.length} pattern(s), ${digest.totals.current} occurrence(s) in the last ${windowDays} days`);
+
+  try {
+    const res = await upsertDigestIssue(octokit, { owner, repo, title, body: markdown });
+    core.info(`Digest issue ${res.updated ? "updated" : "created"}: ${res.url}`);
+  } catch (e) {
+    core.warning(`Digest issue update failed: ${e?.message || e}`);
+  }
+}
+
 async function run() {
   try {
     const token = core.getInput("github_token", { required: true });
+    const octokit = github.getOctokit(token);
+    const mode = (core.getInput("mode") || "analyze").trim().toLowerCase();
+    if (!["analyze", "report"].includes(mode)) {
+      throw new Error(`Unknown mode "${mode}" (expected analyze or report)`);
+    }
+
+    // Repository config file; action inputs below take precedence over it.
+    const configPath = core.getInput("config_path") || DEFAULT_CONFIG_PATH;
+    const loadedConfig = await loadRepoConfig(octokit, {
+      owner: github.context.repo.owner, repo: github.context.repo.repo,
+      ref: github.context.sha, configPath
+    });
+    if (loadedConfig) core.info(`CI Failure Analyzer: loaded config from ${configPath}`);
+    const config = loadedConfig || {};
+    const tracking = config.tracking || {};
+
+    // Rule packs first, so config overrides apply on top of pack defaults
+    const { packs, unknown: unknownPacks } = resolveRulePacks(inputOr("rule_packs", config.rule_packs));
+    if (unknownPacks.length > 0) core.warning(`Unknown rule pack(s): ${unknownPacks.join(", ")}`);
+    enableRulePacks(packs);
+    for (const p of packs) applySeverityOverrides(p.severity);
+    core.info(`CI Failure Analyzer: rule packs enabled: ${packs.map((p) => p.id).join(", ") || "none"}`);
+
+    applyRuleOverrides({
+      hints: config.hints, runbookSlugs: config.runbook_slugs, deployRisk: config.deploy_risk
+    });
+    applySeverityOverrides(config.severity);
+    configureNormalizers(config.normalize);
+
     const commentOnPR = toBool(core.getInput("comment_on_pr"), false);
     const jsonOutput = toBool(core.getInput("json_output"), false);
+    const checkRun = toBool(core.getInput("check_run"), false);
+    const sarifPath = (core.getInput("sarif_path") || "").trim();
     const runbookUrl = (core.getInput("runbook_url") || "").replace(/\/+$/, "");
-    const customRules = parseCustomRules(core.getInput("custom_rules"));
+    const inputRules = parseCustomRules(core.getInput("custom_rules"));
+    const customRules = [
+      ...parseCustomRules(config.rules).filter((r) => !inputRules.some((i) => i.name === r.name)),
+      ...inputRules
+    ];
+    applySeverityOverrides(applyCustomRuleOverrides(customRules));
     const flakyDetection = toBool(core.getInput("flaky_detection"), false);
     const flakyLookback = clampInt(core.getInput("flaky_lookback"), 10, 3, 30);
     const suggestReviewers = toBool(core.getInput("suggest_reviewers"), false);
+    const suspectCommits = toBool(core.getInput("suspect_commits"), false);
+    const prVerdict = toBool(core.getInput("pr_verdict"), false);
     const showDeployRisk = toBool(core.getInput("deploy_risk"), false);
     const maxFailedJobs = clampInt(core.getInput("max_failed_jobs"), 5, 1, 20);
+    const multiHit = toBool(core.getInput("multi_hit"), false);
+    const jobAnnotations = toBool(core.getInput("job_annotations"), true);
+    const maxHitsPerJob = clampInt(core.getInput("max_errors_per_job"), 10, 1, 50);
+    const junitReports = toBool(core.getInput("junit_reports"), false);
+    const junitArtifactPattern = (core.getInput("junit_artifact_pattern") || "").trim();
+    const maxTestFailures = clampInt(core.getInput("max_test_failures"), 10, 1, 100);
+    const autoRetry = toBool(core.getInput("auto_retry"), false);
+    const maxAutoRetries = clampInt(core.getInput("max_auto_retries"), 1, 1, 3);
 
     // Pattern tracking inputs
-    const trackPatterns = toBool(core.getInput("track_patterns"), false)
+    const trackPatterns = toBool(inputOr("track_patterns", tracking.track_patterns), false)
       || toBool(core.getInput("check_patterns"), false);
-    const issueRepoInput = core.getInput("issue_repo") || "";
+    const issueRepoInput = inputOr("issue_repo", tracking.issue_repo) || "";
     const issueLabel = core.getInput("issue_label")
       || core.getInput("pattern_label")
+      || tracking.issue_label
       || "ci-failure-pattern";
-    const quietDays = clampInt(core.getInput("quiet_days"), 0, 0, 365);
-    const exportJson = toBool(core.getInput("export_json"), false);
-    const notifyThreshold = clampInt(core.getInput("notify_threshold"), 0, 0, 10000);
+    const quietDays = clampInt(inputOr("quiet_days", tracking.quiet_days), 0, 0, 365);
+    const exportJson = toBool(inputOr("export_json", tracking.export_json), false);
+    const notifyThreshold = clampInt(inputOr("notify_threshold", tracking.notify_threshold), 0, 0, 10000);
+    const webhookUrl = (core.getInput("webhook_url") || "").trim();
+    const webhookFormat = (core.getInput("webhook_format") || "generic").trim().toLowerCase();
+    if (!WEBHOOK_FORMATS.includes(webhookFormat)) {
+      throw new Error(`Unknown webhook_format "${webhookFormat}" (expected ${WEBHOOK_FORMATS.join(", ")})`);
+    }
+    const webhook = webhookUrl
+      ? { url: webhookUrl, format: webhookFormat, template: core.getInput("webhook_template") || "", events: parseEvents(core.getInput("webhook_events")) }
+      : null;
+    const dashboardPath = (core.getInput("dashboard_path") || "").trim();
+    const similarity = Math.min(1, Math.max(0, parseFloat(inputOr("signature_similarity", tracking.similarity)) || 0));
+    const reconcileDuplicates = toBool(inputOr("reconcile_duplicates", tracking.reconcile_duplicates), true);
+    const patternStoreKind = inputOr("pattern_store", tracking.store) || "issues";
+    const patternStoreBranch = inputOr("pattern_store_branch", tracking.store_branch) || "ci-failure-patterns";
+    const patternStorePath = inputOr("pattern_store_path", tracking.store_path) || "patterns.json";
     const explainerContext = (core.getInput("explainer_context") || "").trim();
 
-    const octokit = github.getOctokit(token);
-    const { owner, repo, runId, prNumbers } = await getRunContext(octokit);
+    const { owner, repo, runId, runAttempt, branch, sha, prNumbers } = await getRunContext(octokit);
     const runUrl = `https://github.com/${owner}/${repo}/actions/runs/${runId}`;
+    const workflowName = github.context.payload?.workflow_run?.name || github.context.workflow || "";
+    const attemptEntry = (conclusion, extra = {}) => ({
+      runId, attempt: runAttempt, sha, workflow: workflowName, runUrl,
+      when: new Date().toISOString(), conclusion, verdict: "", jobs: [], ...extra
+    });
 
     const issueOwner = issueRepoInput ? issueRepoInput.split("/")[0] : owner;
     const issueRepo = issueRepoInput ? issueRepoInput.split("/")[1] : repo;
 
+    const patternStore = trackPatterns || mode === "report"
+      ? createPatternStore(patternStoreKind, {
+        octokit, owner: issueOwner, repo: issueRepo, label: issueLabel,
+        branch: patternStoreBranch, filePath: patternStorePath
+      })
+      : null;
+
+    if (mode === "report") {
+      await runReport(octokit, {
+        store: patternStore, owner: issueOwner, repo: issueRepo, notifyThreshold,
+        windowDays: clampInt(core.getInput("report_window_days"), 7, 1, 90),
+        title: core.getInput("report_issue_title") || "CI health",
+        dashboardPath
+      });
+      return;
+    }
+
     core.info(`CI Failure Analyzer: analyzing ${owner}/${repo} run_id=${runId}`);
 
     const jobsResp = await octokit.rest.actions.listJobsForWorkflowRun({
       owner, repo, run_id: runId, per_page: 100
     });
 
-    const failedJobs = jobsResp.data.jobs.filter((j) => j.conclusion === "failure");
+    const failedJobs = jobsResp.data.jobs
+      .filter((j) => ANALYZED_CONCLUSIONS.includes(j.conclusion))
+      .sort((a, b) => ANALYZED_CONCLUSIONS.indexOf(a.conclusion) - ANALYZED_CONCLUSIONS.indexOf(b.conclusion));
 
     if (failedJobs.length === 0) {
       appendStepSummary("### CI Failure Analyzer\nNo failed jobs detected.\n");
+      if (sarifPath) {
+        try {
+          writeSarif([], { filePath: sarifPath, runUrl });
+        } catch (e) {
+          core.warning(`SARIF export failed: ${e?.message || e}`);
+        }
+      }
+      if (commentOnPR && prNumbers.length > 0) {
+        await resolvePrComments(octokit, { owner, repo, prNumbers, attempt: attemptEntry("success") });
+      }
       return;
     }
 
     let fixTimeMedians = {};
     if (trackPatterns) {
       try {
-        fixTimeMedians = await computeTimeToFix(octokit, { owner, repo, label: issueLabel });
+        fixTimeMedians = await computeTimeToFix(patternStore);
       } catch {
         // best-effort
       }
     }
 
     appendStepSummary("### CI Failure Analyzer\n");
+    // Run-level lines; each failed job gets its own collapsible comment section
     const summaryParts = ["### CI Failure Analyzer\n"];
+    const commentSections = [];
+    // Every reported hit, for the check run and SARIF export
+    const findings = [];
     const jsonResults = [];
+    const jobVerdicts = [];
 
     // Clean up old comments from separate actions
     if (commentOnPR && prNumbers.length > 0) {
       await deleteOldComments(octokit, { owner, repo, prNumbers });
     }
 
-    for (const job of failedJobs.slice(0, maxFailedJobs)) {
-      appendStepSummary(`#### Failed job: ${job.name}\n`);
-      appendStepSummary(`- Conclusion: **${job.conclusion}**\n`);
-      appendStepSummary(`- URL: ${job.html_url}\n`);
-      summaryParts.push(`#### Failed job: ${job.name}\n`);
-
-      let payload;
+    // Diff-aware verdict: the PR's changed files vs. failures already seen on
+    // its base branch
+    let prDiff = null;
+    const prPayload = github.context.payload?.pull_request || github.context.payload?.workflow_run?.pull_requests?.[0];
+    const baseBranch = prPayload?.base?.ref || "";
+    if (prVerdict && prNumbers.length > 0 && baseBranch) {
       try {
-        payload = await downloadJobLogs({ octokit, owner, repo, jobId: job.id });
+        const changedFiles = await listPrFiles(octokit, { owner, repo, prNumber: prNumbers[0] });
+        prDiff = { baseBranch, changedFiles, baseJobs: new Map(), verdicts: [] };
       } catch (e) {
-        const msg = e?.message || String(e);
-        core.warning(`Could not download logs: ${msg}`);
-        appendStepSummary(`- Could not download logs: ${msg}\n\n`);
-        continue;
+        core.warning(`PR verdict disabled: could not list the files of PR #${prNumbers[0]}: ${e?.message || e}`);
       }
+    }
 
-      let hit = null;
-
-      if (payload.kind === "zip") {
-        core.info(`CI Failure Analyzer: job ${job.id} logs=zip (${payload.contentType || "?"})`);
-        const textFiles = extractTextFilesFromZip(payload.zipBuf);
-        hit = findFirstErrorAcrossTexts(textFiles, customRules);
-      } else {
-        core.info(`CI Failure Analyzer: job ${job.id} logs=text (${payload.contentType || "?"})`);
-        hit = findFirstErrorInText({ text: payload.text, fileName: `job-${job.id}.log`, customRules });
+    // Signature hashes of the job's failure in the latest base-branch run,
+    // or null when it passed there. Fetched once per job name.
+    const baseJobSignatures = (jobName) => {
+      if (!prDiff.baseJobs.has(jobName)) {
+        prDiff.baseJobs.set(jobName, (async () => {
+          if (!runScope) return null;
+          const job = await findBaseJobFailure(octokit, {
+            owner, repo, workflowId: runScope.workflowId, baseBranch, jobName, cache: runCache
+          });
+          if (!job) return null;
+          const payload = await downloadJobLogs({ octokit, owner, repo, jobId: job.id });
+          const hits = detectHits(payload, job, { all: true, maxHits: 50 });
+          return { url: job.html_url, hashes: new Set(hits.map((h) => sha1(hitSignature(h)))) };
+        })().catch(() => null));
       }
+      return prDiff.baseJobs.get(jobName);
+    };
 
-      if (!hit) {
-        appendStepSummary(`- No obvious error signature found (rules too limited or logs too noisy).\n\n`);
-        continue;
+    const prVerdictFor = async (hit, jobName, signatureHash) => {
+      let baseEvidence = "";
+
+      if (patternStore) {
+        const pattern = await patternStore.find(signatureHash);
+        const seen = pattern && recentOccurrenceOn(pattern, baseBranch);
+        if (seen) {
+          baseEvidence = `seen on ${baseBranch} on ${seen.when.slice(0, 10)}` + (seen.runUrl ? ` ([run](${seen.runUrl}))` : "");
+        }
+      }
+      if (!baseEvidence) {
+        const base = await baseJobSignatures(jobName);
+        if (base?.hashes.has(signatureHash)) {
+          baseEvidence = `same error in the latest ${baseBranch} run of this job ([logs](${base.url}))`;
+        }
       }
 
+      const filePaths = [...extractFilePaths(hit.line, hit.excerpt), hit.testCase?.file].filter(Boolean);
+      return classifyPrFailure({ filePaths, changedFiles: prDiff.changedFiles, baseEvidence, baseBranch });
+    };
+
+    // Renders one hit into the step summary and the job's PR comment section,
+    // tracks it as a pattern, and returns its failures_json entry. A step
+    // header groups hits in multi-hit mode and replaces the "Failing step" line.
+    // Hits of cancelled jobs (`track: false`) and cancellation hits are
+    // reported but neither tracked nor judged against the PR.
+    const reportHit = async (hit, { jobName, section, stepHeader = "", track = true }) => {
+      if (stepHeader) appendStepSummary(stepHeader);
+
       const normalized = normalize(hit.line);
-      const [primaryHint, secondaryHint] = hintFor(hit.rule, customRules);
+      const category = classifyCategory(hit.rule);
+      const [primaryHint, secondaryHint] = hintFor(hit.rule, customRules, hit.line);
       const excerpt = (hit.excerpt || []).slice(0, 16).map(normalize).join("\n");
+      const testLine = hit.testFailure
+        ? `- Failing test: \`${[hit.testFailure.suite, hit.testFailure.test].filter(Boolean).join(" › ")}\`` +
+          (hit.testFailure.message ? ` — ${hit.testFailure.message}` : "") + "\n"
+        : "";
 
-      appendStepSummary(`- Failing step: **${hit.stepName}**\n`);
+      if (!stepHeader) appendStepSummary(`- Failing step: **${hit.stepName}**\n`);
+      if (hit.exitCode !== undefined && hit.exitCode !== null) appendStepSummary(`- Step exit code: **${hit.exitCode}**\n`);
       appendStepSummary(`- Detected type: **${hit.rule}**\n`);
+      appendStepSummary(`- Confidence: **${hit.confidence}** (score ${hit.score})\n`);
+      if (category !== "code") appendStepSummary(`- Category: **${VERDICT_LABELS[category]}**\n`);
       if (showDeployRisk) {
         appendStepSummary(`- Deploy risk: **${getDeployRisk(hit.rule)}**\n`);
       }
       if (fixTimeMedians[hit.rule] !== undefined) {
         appendStepSummary(`- Typical fix time: **${formatFixTime(fixTimeMedians[hit.rule])}**\n`);
       }
+      if (testLine) appendStepSummary(testLine);
       appendStepSummary(`- Source log: \`${hit.fileName}\`\n`);
-      appendStepSummary(`- First error (normalized):${codeBlock(normalized)}\n`);
+      appendStepSummary(`- ${stepHeader ? "Error" : "First error"} (normalized):${codeBlock(normalized)}\n`);
       appendStepSummary(`- Likely fix: ${primaryHint}\n`);
       if (secondaryHint) appendStepSummary(`- Also check: ${secondaryHint}\n`);
 
@@ -159,26 +390,44 @@ async function run() {
         appendStepSummary(`- [Runbook](${runbookUrl}/${runbookSlug})\n`);
       }
 
+      const signature = hitSignature(hit);
+      const signatureHash = sha1(signature);
+
+      // Checked before tracking, so this run's occurrence doesn't count as
+      // base-branch evidence
+      let prVerdictLine = "";
+      let prVerdictResult = null;
+      if (prDiff && category !== "cancelled") {
+        try {
+          prVerdictResult = await prVerdictFor(hit, jobName, signatureHash);
+          prDiff.verdicts.push(prVerdictResult);
+          prVerdictLine = `- This PR: **${prVerdictResult.label}**${prVerdictResult.reason ? ` — ${prVerdictResult.reason}` : ""}\n`;
+          appendStepSummary(prVerdictLine);
+        } catch (e) {
+          core.warning(`PR verdict failed for ${jobName}: ${e?.message || e}`);
+        }
+      }
+
       // Pattern tracking (inline — no more piping between actions)
       let patternLink = null;
       let patternNote = "";
 
-      if (trackPatterns) {
-        const signature = `${hit.rule}: ${normalized}`;
-        const signatureHash = sha1(signature);
+      if (trackPatterns && track && category !== "cancelled") {
         const nowISO = new Date().toISOString();
         const sourceRepo = (issueOwner !== owner || issueRepo !== repo) ? `${owner}/${repo}` : "";
-        const occurrence = { when: nowISO, runUrl, sourceRepo, explainerContext };
+        const occurrence = {
+          when: nowISO, runUrl, runId, attempt: runAttempt, retried,
+          branch, sha, job: jobName, sourceRepo, explainerContext
+        };
 
         try {
           const issueRes = await upsertIssueForSignature({
-            octokit, issueOwner, issueRepo, label: issueLabel,
-            signature, signatureHash, occurrence, ruleName: hit.rule,
-            notifyThreshold
+            store: patternStore, signature, signatureHash, occurrence, ruleName: hit.rule,
+            notifyThreshold, similarity
           });
 
           patternLink = issueRes.url;
-          core.info(`Pattern issue ${issueRes.kind}: ${issueRes.url}`);
+          core.info(`Pattern ${issueRes.kind}: ${issueRes.url}`);
 
           if (issueRes.muted) {
             core.info("Pattern is muted.");
@@ -187,44 +436,284 @@ async function run() {
             core.warning(`Pattern reached notification threshold (${notifyThreshold} occurrences): ${issueRes.url}`);
           }
 
+          if (webhook && !issueRes.muted) {
+            const sent = await notifyPatternEvents(webhook, issueRes, {
+              hash: signatureHash.slice(0, 8), signature, rule: hit.rule,
+              runUrl, repo: `${owner}/${repo}`, job: jobName
+            });
+            for (const n of sent) {
+              if (n.ok) core.info(`Webhook sent for ${n.event} pattern`);
+              else core.warning(`Webhook for ${n.event} pattern failed after ${n.attempts} attempt(s): ${n.error}`);
+            }
+          }
+
           const recurrenceNote = issueRes.kind === "reopened"
             ? "- **Recurrence:** this pattern was previously resolved\n"
             : "";
+          const clusterNote = issueRes.similarity !== null
+            ? `- Grouped with a similar pattern (similarity ${issueRes.similarity})\n`
+            : "";
 
           patternNote =
-            `- Tracking issue: ${issueRes.url}\n` +
+            `- ${patternStore.linkLabel}: ${issueRes.url}\n` +
+            clusterNote +
             recurrenceNote;
 
-          appendStepSummary(`- Tracking issue: ${patternLink}\n`);
+          appendStepSummary(`- ${patternStore.linkLabel}: ${patternLink}\n`);
+          if (clusterNote) appendStepSummary(clusterNote);
           if (issueRes.kind === "reopened") {
             appendStepSummary(`- **Recurrence:** this pattern was previously resolved\n`);
           }
         } catch (e) {
-          core.warning(`Pattern tracking failed for ${job.name}: ${e?.message || e}`);
+          core.warning(`Pattern tracking failed for ${jobName}: ${e?.message || e}`);
         }
       }
 
-      let flakyNote = "";
-      if (flakyDetection) {
+      appendStepSummary(`- Context:${codeBlock(excerpt)}\n`);
+
+      const riskLine = showDeployRisk ? `- Deploy risk: **${getDeployRisk(hit.rule)}**\n` : "";
+      const fixTimeLine = fixTimeMedians[hit.rule] !== undefined
+        ? `- Typical fix time: **${formatFixTime(fixTimeMedians[hit.rule])}**\n`
+        : "";
+
+      let partBlock =
+        (stepHeader ? "" : `- Failing step: **${hit.stepName}**\n`) +
+        (hit.exitCode !== undefined && hit.exitCode !== null ? `- Step exit code: **${hit.exitCode}**\n` : "") +
+        `- Detected type: **${hit.rule}**\n` +
+        `- Confidence: **${hit.confidence}**\n` +
+        prVerdictLine +
+        (category !== "code" ? `- Category: **${VERDICT_LABELS[category]}**\n` : "") +
+        testLine +
+        riskLine +
+        fixTimeLine +
+        `- ${stepHeader ? "Error" : "First error"}:${codeBlock(normalized)}\n` +
+        `- Likely fix: ${primaryHint}\n`;
+
+      if (patternNote) partBlock += patternNote;
+
+      if (runbookUrl) {
+        const slug = RUNBOOK_SLUGS[hit.rule] || hit.rule.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+        partBlock += `- [Runbook](${runbookUrl}/${slug})\n`;
+      }
+      section.parts.push(stepHeader + partBlock);
+      findings.push({ hit, normalized, hint: primaryHint, jobName, category });
+      section.rows.push({ step: hit.stepName, type: hit.rule, confidence: hit.confidence, category: VERDICT_LABELS[category] });
+
+      core.info(`CI Failure Analyzer: ${jobName} -> step="${hit.stepName}" rule="${hit.rule}" line="${normalized}" score=${hit.score}`);
+
+      return {
+        job: jobName,
+        step: hit.stepName,
+        errorType: hit.rule,
+        category,
+        confidence: hit.confidence,
+        score: hit.score,
+        error: normalized,
+        hint: primaryHint,
+        context: excerpt,
+        patternUrl: patternLink || "",
+        prVerdict: prVerdictResult,
+        test: hit.testFailure || null,
+        exitCode: hit.exitCode ?? null,
+        annotation: hit.annotation || null,
+        ...(hit.testCase ? { testCase: hit.testCase } : {})
+      };
+    };
+
+    // Zip logs are read failed step first, using the job's step conclusions
+    const detectHits = (payload, job, { all = multiHit, maxHits = maxHitsPerJob } = {}) => {
+      core.info(`CI Failure Analyzer: job ${job.id} logs=${payload.kind} (${payload.contentType || "?"})`);
+      const failedSteps = (job.steps || []).filter((s) => s.conclusion === "failure").map((s) => s.number);
+      const textFiles = payload.kind === "zip"
+        ? extractTextFilesFromZip(payload.zipBuf, { failedSteps, jobName: job.name })
+        : [{ name: `job-${job.id}.log`, text: payload.text }];
+      if (all) return findAllErrorsAcrossTexts(textFiles, customRules, { maxHits });
+      return payload.kind === "zip"
+        ? [findFirstErrorAcrossTexts(textFiles, customRules)].filter(Boolean)
+        : [findFirstErrorInText({ text: payload.text, fileName: textFiles[0].name, customRules })].filter(Boolean);
+    };
+
+    // Phase 1: analyze every job, so run-wide decisions (auto-retry) are known
+    // before anything is reported or tracked.
+    const analyses = [];
+
+    // Flaky detection, suspect commits and base-branch lookups are scoped to
+    // this run's workflow, branch and commit
+    let runScope = null;
+    const runCache = new Map();
+    if (flakyDetection || suspectCommits || prDiff) {
+      try {
+        const { data: run } = await octokit.rest.actions.getWorkflowRun({ owner, repo, run_id: runId });
+        runScope = {
+          workflowId: run.workflow_id,
+          workflowPath: run.path || "",
+          branch: run.head_branch,
+          headSha: run.head_sha,
+          createdAt: run.created_at,
+          defaultBranch: run.repository?.default_branch || github.context.payload?.repository?.default_branch || ""
+        };
+      } catch (e) {
+        core.warning(`Run history lookups disabled: could not load run ${runId}: ${e?.message || e}`);
+      }
+    }
+
+    for (const job of failedJobs.slice(0, maxFailedJobs)) {
+      const analysis = { job, hits: [], jobVerdict: "unknown", flaky: null, suspects: null, downloadError: "" };
+      analyses.push(analysis);
+
+      let payload;
+      try {
+        payload = await downloadJobLogs({ octokit, owner, repo, jobId: job.id });
+      } catch (e) {
+        analysis.downloadError = e?.message || String(e);
+        core.warning(`Could not download logs: ${analysis.downloadError}`);
+        continue;
+      }
+
+      analysis.hits = detectHits(payload, job);
+
+      // Errors the tools reported as annotations outrank regex guesses
+      if (jobAnnotations) {
         try {
-          const flakyResult = await detectFlaky(octokit, {
-            owner, repo, workflowId: null, jobName: job.name, lookback: flakyLookback
+          const failedStep = (job.steps || []).find((s) => s.conclusion === "failure");
+          const annotated = jobAnnotationsToHits(await listJobAnnotations(octokit, { owner, repo, jobId: job.id }), customRules, {
+            stepName: failedStep?.name, knownHits: analysis.hits
           });
-          if (flakyResult.isFlaky) {
-            const msg = `Likely flaky (${flakyResult.failures}/${flakyResult.total} recent runs failed)`;
-            appendStepSummary(`- **${msg}**\n`);
-            flakyNote = `- **${msg}**\n`;
-            core.warning(`${job.name}: ${msg}`);
+          if (annotated.length > 0) {
+            analysis.hits = multiHit
+              ? mergeJobAnnotationHits(annotated, analysis.hits, { maxHits: maxHitsPerJob, stepName: failedStep?.name })
+              : [[...annotated, ...analysis.hits].reduce((best, h) => (outranks(h, best) ? h : best))];
           }
+        } catch (e) {
+          core.info(`CI Failure Analyzer: could not read annotations of job ${job.id}: ${e?.message || e}`);
+        }
+      }
+
+      analysis.jobVerdict = classifyJobVerdict(analysis.hits, job.conclusion);
+      jobVerdicts.push(analysis.jobVerdict);
+
+      if (flakyDetection && runScope && analysis.hits.length > 0) {
+        try {
+          analysis.flaky = await detectFlaky(octokit, {
+            owner, repo, ...runScope, runId, jobName: job.name, lookback: flakyLookback, cache: runCache
+          });
         } catch {
           // best-effort
         }
       }
 
+      if (suspectCommits && runScope && analysis.hits.length > 0) {
+        try {
+          analysis.suspects = await findSuspectCommits(octokit, {
+            owner, repo, ...runScope, runId, jobName: job.name, cache: runCache,
+            rules: [...new Set(analysis.hits.map((h) => h.rule))],
+            filePaths: [...new Set(analysis.hits.flatMap((h) => extractFilePaths(h.line, h.excerpt)))]
+          });
+          if (!analysis.suspects) core.info(`${job.name}: no earlier green run to compare with`);
+        } catch (e) {
+          core.warning(`Suspect commit lookup failed for ${job.name}: ${e?.message || e}`);
+        }
+      }
+    }
+
+    // Auto-retry when every failed job is flaky or infrastructure
+    let retryNote = "";
+    let retried = false;
+    if (autoRetry) {
+      const decision = decideAutoRetry({
+        analyses, failedJobCount: failedJobs.length, runAttempt, maxRetries: maxAutoRetries,
+        canRerun: Boolean(github.context.payload?.workflow_run?.id)
+      });
+
+      if (decision.retry) {
+        try {
+          await rerunFailedJobs(octokit, { owner, repo, runId });
+          retried = true;
+          core.info(`CI Failure Analyzer: re-running failed jobs of run ${runId} (attempt ${decision.attempt})`);
+        } catch (e) {
+          decision.error = e?.message || String(e);
+          core.warning(`Auto-retry failed: ${decision.error}`);
+        }
+      } else {
+        core.info(`CI Failure Analyzer: not retrying — ${decision.reason}`);
+      }
+
+      retryNote = formatRetryNote(decision);
+      appendStepSummary(retryNote);
+      summaryParts.push(retryNote);
+    }
+
+    // Phase 2: report
+    for (const { job, hits, jobVerdict, flaky, suspects, downloadError } of analyses) {
+      appendStepSummary(`#### Failed job: ${job.name}\n`);
+      appendStepSummary(`- Conclusion: **${job.conclusion}**\n`);
+      appendStepSummary(`- URL: ${job.html_url}\n`);
+      const section = { title: job.name, url: job.html_url, conclusion: job.conclusion, rows: [], parts: [] };
+      commentSections.push(section);
+
+      if (downloadError) {
+        appendStepSummary(`- Could not download logs: ${downloadError}\n\n`);
+        section.parts.push(`- Could not download logs: ${downloadError}\n`);
+        continue;
+      }
+
+      if (jobVerdict === "infra") {
+        const infraLine = `- Verdict: **${VERDICT_LABELS.infra}** — likely not caused by code changes; a re-run may pass\n`;
+        appendStepSummary(infraLine);
+        section.parts.push(infraLine);
+      }
+      if (jobVerdict === "cancelled") {
+        const cancelledLine = `- Verdict: **${VERDICT_LABELS.cancelled}** — the job was cancelled (fail-fast, by hand or by a concurrency group), not failed\n`;
+        appendStepSummary(cancelledLine);
+        section.parts.push(cancelledLine);
+      }
+
+      if (hits.length === 0) {
+        appendStepSummary(`- No obvious error signature found (rules too limited or logs too noisy).\n\n`);
+        section.parts.push("- No obvious error signature found.\n");
+        continue;
+      }
+
+      if (multiHit) {
+        const stepCount = new Set(hits.map((h) => h.stepName)).size;
+        const countLine = `- Distinct errors: **${hits.length}** across ${stepCount} step(s)\n`;
+        appendStepSummary(countLine);
+        section.parts.push(countLine);
+      }
+
+      const jobJsonResults = [];
+      let currentStep = null;
+
+      for (const hit of hits) {
+        let stepHeader = "";
+        if (multiHit && hit.stepName !== currentStep) {
+          currentStep = hit.stepName;
+          stepHeader = `##### Step: ${hit.stepName}\n`;
+        }
+        jobJsonResults.push(await reportHit(hit, {
+          jobName: job.name, section, stepHeader, track: job.conclusion !== "cancelled"
+        }));
+      }
+
+      // Job-level notes (shared by every hit in the job)
+      let flakyNote = "";
+      if (flaky?.isFlaky) {
+        const why = flaky.sameShaMixed
+          ? "passed and failed on the same commit"
+          : `${flaky.failures}/${flaky.total} recent runs failed`;
+        const msg = `Likely flaky (${why}; flip rate ${flaky.rate})`;
+        const evidenceLines = flaky.evidence
+          .map((e) => `  - [${e.reason}${e.attempt > 1 ? ` (attempt ${e.attempt})` : ""}](${e.url})\n`)
+          .join("");
+        appendStepSummary(`- **${msg}**\n${evidenceLines}`);
+        flakyNote = `- **${msg}**\n${evidenceLines}`;
+        core.warning(`${job.name}: ${msg}`);
+      }
+
       let reviewerNote = "";
       if (suggestReviewers) {
         try {
-          const filePaths = extractFilePaths(hit.line, hit.excerpt);
+          const filePaths = [...new Set(hits.flatMap((h) => extractFilePaths(h.line, h.excerpt)))].slice(0, 5);
           if (filePaths.length > 0) {
             const prAuthor = github.context.payload?.pull_request?.user?.login || "";
             const suggestions = await suggestReviewersForFiles(octokit, { owner, repo, filePaths, prAuthor });
@@ -239,66 +728,144 @@ async function run() {
         }
       }
 
-      appendStepSummary(`- Context:${codeBlock(excerpt)}\n`);
-
-      const riskLine = showDeployRisk ? `- Deploy risk: **${getDeployRisk(hit.rule)}**\n` : "";
-      const fixTimeLine = fixTimeMedians[hit.rule] !== undefined
-        ? `- Typical fix time: **${formatFixTime(fixTimeMedians[hit.rule])}**\n`
-        : "";
-
-      let partBlock =
-        `- Failing step: **${hit.stepName}**\n` +
-        `- Detected type: **${hit.rule}**\n` +
-        riskLine +
-        fixTimeLine +
-        `- First error:${codeBlock(normalized)}\n` +
-        `- Likely fix: ${primaryHint}\n`;
+      const suspectsNote = suspects ? formatSuspects(suspects) : "";
+      if (suspectsNote) appendStepSummary(suspectsNote);
 
-      if (patternNote) partBlock += patternNote;
+      if (flakyNote || reviewerNote || suspectsNote) section.parts.push(flakyNote + reviewerNote + suspectsNote);
 
-      if (runbookUrl) {
-        const slug = RUNBOOK_SLUGS[hit.rule] || hit.rule.toLowerCase().replace(/[^a-z0-9]+/g, "-");
-        partBlock += `- [Runbook](${runbookUrl}/${slug})\n`;
+      if (jsonOutput) {
+        for (const r of jobJsonResults) {
+          jsonResults.push({
+            ...r, jobVerdict,
+            flakyNote: flakyNote ? flakyNote.split("\n")[0].trim() : "",
+            flaky: flaky ? { isFlaky: flaky.isFlaky, rate: flaky.rate, sameShaMixed: flaky.sameShaMixed, evidence: flaky.evidence } : null,
+            suspects
+          });
+        }
       }
-      partBlock += flakyNote;
-      partBlock += reviewerNote;
-      summaryParts.push(partBlock);
+    }
 
-      if (jsonOutput) {
-        jsonResults.push({
-          job: job.name,
-          step: hit.stepName,
-          errorType: hit.rule,
-          error: normalized,
-          hint: primaryHint,
-          context: excerpt,
-          patternUrl: patternLink || "",
-          flakyNote: flakyNote ? flakyNote.trim() : ""
+    // Failing test cases from JUnit-style reports uploaded as artifacts
+    if (junitReports) {
+      try {
+        const cases = await findJUnitReports(octokit, {
+          owner, repo, runId, namePattern: junitArtifactPattern
         });
+
+        const seenCases = new Set();
+        const uniqueCases = cases.filter((tc) => {
+          const key = `${tc.classname}|${tc.name}|${tc.message}`;
+          if (seenCases.has(key)) return false;
+          seenCases.add(key);
+          return true;
+        });
+
+        if (uniqueCases.length > 0) {
+          const heading = `#### Failed tests (from test reports)\n`;
+          const countLine = `- Failing test cases: **${uniqueCases.length}**` +
+            (uniqueCases.length > maxTestFailures ? ` (showing first ${maxTestFailures})` : "") + "\n";
+          appendStepSummary(heading);
+          appendStepSummary(countLine);
+          const section = { title: "Failed tests (from test reports)", url: "", conclusion: "", rows: [], parts: [countLine] };
+          commentSections.push(section);
+
+          for (const tc of uniqueCases.slice(0, maxTestFailures)) {
+            const entry = await reportHit(testCaseToHit(tc), { jobName: "Test reports", section });
+            if (jsonOutput) jsonResults.push({ ...entry, jobVerdict: "code", flakyNote: "" });
+          }
+          jobVerdicts.push("code");
+        } else {
+          core.info("CI Failure Analyzer: no failing test cases found in artifacts.");
+        }
+      } catch (e) {
+        core.warning(`Test report ingestion failed: ${e?.message || e}`);
       }
+    }
 
-      core.info(`CI Failure Analyzer: ${job.name} -> step="${hit.stepName}" rule="${hit.rule}" line="${normalized}"`);
+    // Run-level verdict: infrastructure vs code
+    const runVerdict = classifyRunVerdict(jobVerdicts);
+    const verdictLine = `**Verdict:** ${VERDICT_LABELS[runVerdict]}${runAttempt > 1 ? ` (attempt ${runAttempt})` : ""}\n`;
+    appendStepSummary(`#### ${verdictLine}`);
+    summaryParts.splice(1, 0, verdictLine);
+    if (prDiff?.verdicts.length > 0) {
+      const prLine = `**This PR:** ${formatPrVerdictCounts(prDiff.verdicts)}\n`;
+      appendStepSummary(prLine);
+      summaryParts.splice(2, 0, prLine);
+    }
+    core.setOutput("verdict", runVerdict);
+    for (const r of jsonResults) r.verdict = runVerdict;
+
+    // Merge pattern issues that were created twice for the same signature
+    if (trackPatterns && reconcileDuplicates) {
+      try {
+        for (const m of await patternStore.reconcile()) {
+          core.info(`Merged duplicate pattern issue(s) ${m.duplicates.map((n) => `#${n}`).join(", ")} into #${m.issueNumber}`);
+        }
+      } catch (e) {
+        core.warning(`Duplicate reconciliation failed: ${e?.message || e}`);
+      }
     }
 
     // Auto-close quiet pattern issues
     if (trackPatterns && quietDays > 0) {
       try {
-        const closed = await autoCloseQuietIssues(octokit, {
-          issueOwner, issueRepo, label: issueLabel, quietDays
-        });
+        const closed = await autoCloseQuietIssues(patternStore, { quietDays });
         if (closed.length > 0) {
-          core.info(`Auto-closed ${closed.length} quiet issue(s): ${closed.join(", ")}`);
+          core.info(`Auto-closed ${closed.length} quiet pattern(s): ${closed.join(", ")}`);
         }
       } catch (e) {
         core.warning(`Auto-close failed: ${e?.message || e}`);
       }
     }
 
+    // File-backed stores write all changes in one commit
+    if (patternStore) {
+      try {
+        await patternStore.flush();
+      } catch (e) {
+        core.warning(`Saving patterns failed: ${e?.message || e}`);
+      }
+    }
+
+    if (patternStore && dashboardPath) {
+      try {
+        writeDashboard(await patternStore.list({ state: "all" }), { filePath: dashboardPath, defaultSource: `${owner}/${repo}` });
+      } catch (e) {
+        core.warning(`Dashboard failed: ${e?.message || e}`);
+      }
+    }
+
+    // Check run with file/line annotations
+    if (checkRun && findings.length > 0) {
+      try {
+        if (!sha) throw new Error("no head commit for this run");
+        const check = await publishCheckRun(octokit, { owner, repo, headSha: sha, runUrl, findings });
+        core.setOutput("check_run_url", check.url);
+        core.info(`Check run created with ${check.annotations} annotation(s): ${check.url}`);
+      } catch (e) {
+        core.warning(`Check run failed: ${e?.message || e}`);
+      }
+    }
+
+    if (sarifPath) {
+      try {
+        writeSarif(findings, { filePath: sarifPath, runUrl });
+      } catch (e) {
+        core.warning(`SARIF export failed: ${e?.message || e}`);
+      }
+    }
+
     // Post unified PR comment
     if (commentOnPR && prNumbers.length > 0) {
-      const body = `${MARKER}\n` + summaryParts.join("\n");
+      const attempt = attemptEntry("failure", { verdict: runVerdict, jobs: failedJobs.map((j) => j.name) });
+      const skippedJobs = failedJobs.slice(maxFailedJobs).map((j) => j.name);
       for (const prNumber of prNumbers.slice(0, 3)) {
-        const c = await upsertComment(octokit, { owner, repo, issue_number: prNumber, body, marker: MARKER });
+        const existing = await findComment(octokit, { owner, repo, issue_number: prNumber, marker: MARKER });
+        const body = renderFailureComment({
+          marker: MARKER, parts: summaryParts, sections: commentSections, skippedJobs,
+          history: recordAttempt(parseCommentHistory(existing?.body), attempt)
+        });
+        const c = await upsertComment(octokit, { owner, repo, issue_number: prNumber, body, marker: MARKER, existing });
         core.info(`PR #${prNumber} comment ${c.updated ? "updated" : "created"}: ${c.url}`);
       }
     }
@@ -311,9 +878,7 @@ async function run() {
 
     if (trackPatterns && exportJson) {
       try {
-        const patterns = await exportPatternsAsJson(octokit, {
-          issueOwner, issueRepo, label: issueLabel
-        });
+        const patterns = await exportPatternsAsJson(patternStore);
         core.setOutput("patterns_json", JSON.stringify(patterns));
         core.info(`Exported ${patterns.length} pattern(s) as JSON.`);
       } catch (e) {
@@ -0,0 +1,158 @@
+// Turns findings into check run annotations, so failures show up inline in
+// the PR "Files changed" view.
+
+const CHECK_RUN_NAME = "CI Failure Analyzer";
+const ANNOTATIONS_PER_REQUEST = 50;
+const MAX_SUMMARY_ROWS = 50;
+
+const SOURCE_FILE = /\.(?:[cm]?[jt]sx?|vue|svelte|py|pyi|go|java|kt|rb|rs)$/i;
+const PATH = String.raw`((?:[A-Za-z]:)?[^\s'"\x60():,]+\.[A-Za-z]{1,5})`;
+
+const LOCATION_PATTERNS = [
+  // tsc --pretty false: src/a.ts(12,5): error TS2322
+  new RegExp(String.raw`(?:^|[\s'"\x60])${PATH}\((\d+),(\d+)\)`),
+  // ESLint compact: src/a.ts: line 12, col 5, Error - ...
+  new RegExp(String.raw`(?:^|[\s'"\x60])${PATH}: line (\d+), col (\d+)`),
+  // path:line[:col] — tsc --pretty, ESLint unix, mypy, ruff, Go, javac
+  new RegExp(String.raw`(?:^|[\s'"\x60(\[])${PATH}:(\d+)(?::(\d+))?`)
+];
+
+// ESLint stylish prints the file on its own line, then "  12:5  error  ...".
+const STYLISH_ROW = /^\s*(\d+):(\d+)\s+(?:error|warning)\s/;
+const STYLISH_FILE = new RegExp(String.raw`^\s*${PATH}\s*$`);
+
+// -------------------- Locations --------------------
+
+function stripLogPrefix(line) {
+  return String(line || "")
+    .replace(/^\d{4}-\d\d-\d\dT[\d:.]+Z\s/, "")
+    .replace(/^##\[(?:error|warning)\]/, "");
+}
+
+// Makes runner paths relative to the checkout; returns "" for anything that
+// can't be a file in the repository.
+function repoRelativePath(p) {
+  let out = p.replace(/\\/g, "/");
+  const workspace = (process.env.GITHUB_WORKSPACE || "").replace(/\\/g, "/").replace(/\/+$/, "");
+  if (workspace && out.startsWith(workspace + "/")) out = out.slice(workspace.length + 1);
+  out = out
+    .replace(/^(?:\/home\/runner\/work|\/__w)\/[^/]+\/[^/]+\//, "")
+    .replace(/^[A-Za-z]:\/a\/[^/]+\/[^/]+\//, "")
+    .replace(/^\.\//, "");
+
+  if (out.startsWith("/") || /^[A-Za-z]:\//.test(out) || out.includes("node_modules/")) return "";
+  return SOURCE_FILE.test(out) ? out : "";
+}
+
+function parseLocation(errorLine, excerpt = []) {
+  const line = stripLogPrefix(errorLine);
+
+  for (const re of LOCATION_PATTERNS) {
+    const m = re.exec(line);
+    if (!m) continue;
+    const path = repoRelativePath(m[1]);
+    if (path) return { path, line: Number(m[2]), column: m[3] ? Number(m[3]) : null };
+  }
+
+  const row = STYLISH_ROW.exec(line);
+  if (row) {
+    const lines = excerpt.map(stripLogPrefix);
+    const at = lines.findIndex((l) => l === line);
+    for (let i = (at === -1 ? lines.length : at) - 1; i >= 0; i--) {
+      const f = STYLISH_FILE.exec(lines[i]);
+      if (!f) continue;
+      const path = repoRelativePath(f[1]);
+      if (path) return { path, line: Number(row[1]), column: Number(row[2]) };
+      break;
+    }
+  }
+
+  return null;
+}
+
+// -------------------- Annotations --------------------
+
+// findings: [{ hit, normalized, hint, jobName }]. One annotation per located
+// finding, deduplicated by location and message.
+function buildAnnotations(findings) {
+  const seen = new Set();
+  const annotations = [];
+
+  for (const f of findings) {
+    const loc = parseLocation(f.hit.line, f.hit.excerpt);
+    if (!loc || !loc.line) continue;
+
+    const message = `${f.hit.rule}: ${f.normalized}\n\nLikely fix: ${f.hint}`;
+    const key = `${loc.path}:${loc.line}:${message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    annotations.push({
+      path: loc.path,
+      start_line: loc.line,
+      end_line: loc.line,
+      ...(loc.column ? { start_column: loc.column, end_column: loc.column } : {}),
+      annotation_level: "failure",
+      title: `${f.hit.rule} in ${f.jobName}`.slice(0, 255),
+      message
+    });
+  }
+
+  return annotations;
+}
+
+function cell(text) {
+  return String(text ?? "").replace(/\s+/g, " ").replace(/\|/g, "\\|");
+}
+
+function renderCheckSummary(findings, { runUrl, annotated }) {
+  const rows = findings.slice(0, MAX_SUMMARY_ROWS).map((f) => {
+    const loc = parseLocation(f.hit.line, f.hit.excerpt);
+    const where = loc ? `\`${loc.path}:${loc.line}\`` : "";
+    return `| ${cell(f.jobName)} | ${cell(f.hit.stepName)} | ${cell(f.hit.rule)} | ${where} |\n`;
+  }).join("");
+  const more = findings.length > MAX_SUMMARY_ROWS ? `\n_${findings.length - MAX_SUMMARY_ROWS} more not shown._\n` : "";
+
+  return `Failed run: ${runUrl}\n\n` +
+    `${findings.length} finding(s), ${annotated} annotated at a file and line.\n\n` +
+    "| Job | Step | Type | Location |\n|---|---|---|---|\n" + rows + more;
+}
+
+// -------------------- Check run --------------------
+
+// The API takes at most 50 annotations per request: the first batch goes
+// with the create call, the rest are appended by updates.
+async function publishCheckRun(octokit, { owner, repo, headSha, runUrl, findings }) {
+  const annotations = buildAnnotations(findings);
+  const output = {
+    title: `${findings.length} failure finding(s), ${annotations.length} annotation(s)`,
+    summary: renderCheckSummary(findings, { runUrl, annotated: annotations.length })
+  };
+
+  const { data: check } = await octokit.rest.checks.create({
+    owner, repo,
+    name: CHECK_RUN_NAME,
+    head_sha: headSha,
+    details_url: runUrl,
+    status: "completed",
+    conclusion: "neutral",
+    output: { ...output, annotations: annotations.slice(0, ANNOTATIONS_PER_REQUEST) }
+  });
+
+  for (let i = ANNOTATIONS_PER_REQUEST; i < annotations.length; i += ANNOTATIONS_PER_REQUEST) {
+    await octokit.rest.checks.update({
+      owner, repo,
+      check_run_id: check.id,
+      output: { ...output, annotations: annotations.slice(i, i + ANNOTATIONS_PER_REQUEST) }
+    });
+  }
+
+  return { url: check.html_url, annotations: annotations.length };
+}
+
+export {
+  CHECK_RUN_NAME,
+  parseLocation,
+  buildAnnotations,
+  publishCheckRun
+};
@@ -0,0 +1,56 @@
+// -------------------- Retry decision --------------------
+
+// A run is retried only when every failed job is classified as flaky or
+// infrastructure, and only while `runAttempt` is within the retry budget, so
+// a persistently failing run can't loop forever. A cancelled job blocks the
+// retry: re-running failed jobs would re-run it too, undoing a cancel made by
+// hand or by a `concurrency` group.
+function decideAutoRetry({ analyses, failedJobCount, runAttempt, maxRetries, canRerun }) {
+  const attempt = runAttempt || 1;
+
+  if (!canRerun) {
+    return { retry: false, attempt, reason: "auto-retry needs a `workflow_run` trigger (a run can't re-run itself while in progress)" };
+  }
+  if (analyses.length < failedJobCount) {
+    return { retry: false, attempt, reason: `only ${analyses.length} of ${failedJobCount} failed jobs were analyzed` };
+  }
+
+  const cancelled = analyses.find((a) => a.job.conclusion === "cancelled" || a.jobVerdict === "cancelled");
+  if (cancelled) {
+    return { retry: false, attempt, reason: `job "${cancelled.job.name}" was cancelled` };
+  }
+
+  const blocking = analyses.find((a) => a.jobVerdict !== "infra" && !a.flaky?.isFlaky);
+  if (blocking) {
+    const why = blocking.jobVerdict === "unknown" ? "could not be classified" : "looks like a code failure";
+    return { retry: false, attempt, reason: `job "${blocking.job.name}" ${why}` };
+  }
+
+  if (attempt > maxRetries) {
+    return { retry: false, attempt, reason: `retry budget exhausted (attempt ${attempt}, max ${maxRetries} retr${maxRetries === 1 ? "y" : "ies"})` };
+  }
+
+  return { retry: true, attempt, reason: "all failed jobs are flaky or infrastructure" };
+}
+
+// -------------------- Re-run --------------------
+
+async function rerunFailedJobs(octokit, { owner, repo, runId }) {
+  await octokit.rest.actions.reRunWorkflowFailedJobs({ owner, repo, run_id: runId });
+}
+
+function formatRetryNote(decision) {
+  if (decision.retry && decision.error) {
+    return `- **Auto-retry:** failed to re-run (attempt ${decision.attempt}): ${decision.error}\n`;
+  }
+  if (decision.retry) {
+    return `- **Auto-retry:** re-running failed jobs after attempt ${decision.attempt} — ${decision.reason}\n`;
+  }
+  return `- **Auto-retry:** not retried (attempt ${decision.attempt}) — ${decision.reason}\n`;
+}
+
+export {
+  decideAutoRetry,
+  rerunFailedJobs,
+  formatRetryNote
+};
@@ -0,0 +1,243 @@
+import * as core from "@actions/core";
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+import { NORMALIZER_NAMES, OPT_IN_NORMALIZER_NAMES } from "./utils.js";
+import { validateCustomRule } from "./error-detector.js";
+import { RULE_PACKS, resolveRulePacks } from "./rule-packs/index.js";
+import { PATTERN_STORES } from "./pattern-stores/index.js";
+
+const DEFAULT_CONFIG_PATH = ".github/ci-failure-analyzer.yml";
+
+const RISK_LEVELS = ["low", "medium", "high"];
+
+const TRACKING_KEYS = {
+  track_patterns: "boolean",
+  issue_repo: "string",
+  issue_label: "string",
+  quiet_days: "integer",
+  export_json: "boolean",
+  notify_threshold: "integer",
+  store: "string",
+  store_branch: "string",
+  store_path: "string",
+  similarity: "ratio",
+  reconcile_duplicates: "boolean"
+};
+
+const TOP_LEVEL_KEYS = ["version", "rule_packs", "rules", "hints", "runbook_slugs", "deploy_risk", "severity", "normalize", "tracking"];
+
+// -------------------- Validation --------------------
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function validateRules(rules, errors) {
+  if (!Array.isArray(rules)) {
+    errors.push("rules: must be a list");
+    return;
+  }
+  rules.forEach((r, i) => {
+    for (const problem of validateCustomRule(r)) {
+      errors.push(/^\w+(\[\d+\])?:/.test(problem) ? `rules[${i}].${problem}` : `rules[${i}]: ${problem}`);
+    }
+  });
+}
+
+function validateRulePacks(spec, errors) {
+  if (typeof spec !== "string" && !(Array.isArray(spec) && spec.every((s) => typeof s === "string"))) {
+    errors.push("rule_packs: must be a string or a list of pack ids");
+    return;
+  }
+  const { unknown } = resolveRulePacks(spec);
+  if (unknown.length > 0) {
+    errors.push(`rule_packs: unknown pack(s) ${unknown.join(", ")} (available: ${RULE_PACKS.map((p) => p.id).join(", ")})`);
+  }
+}
+
+function validateHints(hints, errors) {
+  if (!isPlainObject(hints)) {
+    errors.push("hints: must be a mapping of rule name to hint");
+    return;
+  }
+  for (const [name, v] of Object.entries(hints)) {
+    const ok = typeof v === "string"
+      || (Array.isArray(v) && v.length >= 1 && v.length <= 2 && v.every((h) => typeof h === "string"));
+    if (!ok) errors.push(`hints.${name}: must be a string or a list of one or two strings`);
+  }
+}
+
+function validateStringMap(key, map, errors, allowed) {
+  if (!isPlainObject(map)) {
+    errors.push(`${key}: must be a mapping of rule name to value`);
+    return;
+  }
+  for (const [name, v] of Object.entries(map)) {
+    if (typeof v !== "string" || !v) {
+      errors.push(`${key}.${name}: must be a non-empty string`);
+    } else if (allowed && !allowed.includes(v)) {
+      errors.push(`${key}.${name}: must be one of ${allowed.join(", ")} (got "${v}")`);
+    }
+  }
+}
+
+function validateNormalize(normalize, errors) {
+  if (!isPlainObject(normalize)) {
+    errors.push("normalize: must be a mapping with enable, disable and/or replacements");
+    return;
+  }
+  for (const key of Object.keys(normalize)) {
+    if (!["enable", "disable", "replacements"].includes(key)) {
+      errors.push(`normalize.${key}: unknown option (expected enable, disable, replacements)`);
+    }
+  }
+
+  const { enable = [], disable = [], replacements = [] } = normalize;
+  if (!Array.isArray(enable)) {
+    errors.push("normalize.enable: must be a list of normalizer names or \"all\"");
+  } else {
+    for (const name of enable) {
+      if (name !== "all" && !OPT_IN_NORMALIZER_NAMES.includes(name)) {
+        errors.push(`normalize.enable: ${JSON.stringify(name)} is not an opt-in normalizer (expected all or one of ${OPT_IN_NORMALIZER_NAMES.join(", ")})`);
+      }
+    }
+  }
+  if (!Array.isArray(disable)) {
+    errors.push("normalize.disable: must be a list of normalizer names");
+  } else {
+    for (const name of disable) {
+      if (!NORMALIZER_NAMES.includes(name)) {
+        errors.push(`normalize.disable: unknown normalizer ${JSON.stringify(name)} (expected one of ${NORMALIZER_NAMES.join(", ")})`);
+      }
+    }
+  }
+
+  if (!Array.isArray(replacements)) {
+    errors.push("normalize.replacements: must be a list");
+    return;
+  }
+  replacements.forEach((r, i) => {
+    const at = `normalize.replacements[${i}]`;
+    if (!isPlainObject(r)) {
+      errors.push(`${at}: must be a mapping with pattern and replacement`);
+      return;
+    }
+    if (r.replacement !== undefined && typeof r.replacement !== "string") errors.push(`${at}.replacement: must be a string`);
+    if (r.flags !== undefined && !(typeof r.flags === "string" && /^[imsu]*$/.test(r.flags))) {
+      errors.push(`${at}.flags: must be a combination of i, m, s, u`);
+    }
+    if (typeof r.pattern !== "string" || !r.pattern) {
+      errors.push(`${at}.pattern: required string`);
+      return;
+    }
+    try {
+      new RegExp(r.pattern, typeof r.flags === "string" ? r.flags : "");
+    } catch (e) {
+      errors.push(`${at}.pattern: invalid regex (${e.message})`);
+    }
+  });
+}
+
+function validateTracking(tracking, errors) {
+  if (!isPlainObject(tracking)) {
+    errors.push("tracking: must be a mapping");
+    return;
+  }
+  for (const [key, v] of Object.entries(tracking)) {
+    const type = TRACKING_KEYS[key];
+    if (!type) {
+      errors.push(`tracking.${key}: unknown option (expected one of ${Object.keys(TRACKING_KEYS).join(", ")})`);
+    } else if (type === "integer" && !(Number.isInteger(v) && v >= 0)) {
+      errors.push(`tracking.${key}: must be a non-negative integer`);
+    } else if (type === "ratio" && !(typeof v === "number" && v >= 0 && v <= 1)) {
+      errors.push(`tracking.${key}: must be a number between 0 and 1`);
+    } else if (type !== "integer" && type !== "ratio" && typeof v !== type) {
+      errors.push(`tracking.${key}: must be a ${type}`);
+    }
+  }
+  if (typeof tracking.issue_repo === "string" && tracking.issue_repo && !/^[\w.-]+\/[\w.-]+$/.test(tracking.issue_repo)) {
+    errors.push("tracking.issue_repo: must be in owner/repo format");
+  }
+  if (typeof tracking.store === "string" && !PATTERN_STORES.includes(tracking.store)) {
+    errors.push(`tracking.store: must be one of ${PATTERN_STORES.join(", ")} (got "${tracking.store}")`);
+  }
+}
+
+// Returns a list of human-readable problems; empty means the config is valid.
+function validateConfig(config) {
+  const errors = [];
+  if (!isPlainObject(config)) return ["config: top level must be a mapping"];
+
+  for (const key of Object.keys(config)) {
+    if (!TOP_LEVEL_KEYS.includes(key)) {
+      errors.push(`${key}: unknown key (expected one of ${TOP_LEVEL_KEYS.join(", ")})`);
+    }
+  }
+
+  if (config.version !== undefined && config.version !== 1) {
+    errors.push(`version: unsupported version ${JSON.stringify(config.version)} (expected 1)`);
+  }
+  if (config.rule_packs !== undefined) validateRulePacks(config.rule_packs, errors);
+  if (config.rules !== undefined) validateRules(config.rules, errors);
+  if (config.hints !== undefined) validateHints(config.hints, errors);
+  if (config.runbook_slugs !== undefined) validateStringMap("runbook_slugs", config.runbook_slugs, errors);
+  if (config.deploy_risk !== undefined) validateStringMap("deploy_risk", config.deploy_risk, errors, RISK_LEVELS);
+  if (config.severity !== undefined) validateStringMap("severity", config.severity, errors, RISK_LEVELS);
+  if (config.normalize !== undefined) validateNormalize(config.normalize, errors);
+  if (config.tracking !== undefined) validateTracking(config.tracking, errors);
+
+  return errors;
+}
+
+// -------------------- Loading --------------------
+
+function parseConfig(text, source) {
+  let parsed;
+  try {
+    parsed = YAML.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid config ${source}: ${e.message}`);
+  }
+  if (parsed == null) return {};
+
+  const errors = validateConfig(parsed);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config ${source}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  return parsed;
+}
+
+// Reads the config from the checked-out workspace when available, otherwise
+// from the repository at `ref` via the contents API. Returns null when the
+// file doesn't exist or can't be fetched; throws with every validation problem
+// when it is invalid.
+async function loadRepoConfig(octokit, { owner, repo, ref, configPath = DEFAULT_CONFIG_PATH }) {
+  const workspace = process.env.GITHUB_WORKSPACE;
+  if (workspace) {
+    const local = path.join(workspace, configPath);
+    if (fs.existsSync(local)) return parseConfig(fs.readFileSync(local, "utf8"), configPath);
+  }
+
+  let resp;
+  try {
+    resp = await octokit.rest.repos.getContent({ owner, repo, path: configPath, ref });
+  } catch (e) {
+    if (e?.status !== 404) core.warning(`Could not load config ${configPath}: ${e?.message || e}`);
+    return null;
+  }
+
+  if (Array.isArray(resp.data) || resp.data.type !== "file") {
+    throw new Error(`Invalid config ${configPath}: expected a file`);
+  }
+  const text = Buffer.from(resp.data.content || "", resp.data.encoding || "base64").toString("utf8");
+  return parseConfig(text, configPath);
+}
+
+export {
+  DEFAULT_CONFIG_PATH,
+  validateConfig,
+  parseConfig,
+  loadRepoConfig
+};
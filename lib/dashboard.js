@@ -0,0 +1,195 @@
+// Renders tracked patterns as a single self-contained HTML page (no external
+// scripts, styles or fonts), so it can be uploaded as an artifact or served
+// from Pages as is.
+
+const SPARKLINE_DAYS = 30;
+const SEVERITIES = ["high", "medium", "low", "unknown"];
+
+// -------------------- Data --------------------
+
+function dailyCounts(occurrences, now, days) {
+  const counts = new Array(days).fill(0);
+  const end = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) + 86400000;
+  for (const o of occurrences) {
+    const age = Math.floor((end - new Date(o.when).getTime()) / 86400000);
+    if (age >= 0 && age < days) counts[days - 1 - age]++;
+  }
+  return counts;
+}
+
+function toRow(p, { now, days, defaultSource }) {
+  const sources = new Set(p.occurrences.filter((o) => !o.rolledUp).map((o) => o.sourceRepo || defaultSource));
+  const lastSeen = p.occurrences.reduce((a, o) => (o.when > a ? o.when : a), "");
+  const daily = dailyCounts(p.occurrences, now, days);
+
+  return {
+    hash: p.hash.slice(0, 8),
+    signature: p.signature,
+    rule: p.rule,
+    severity: SEVERITIES.includes(p.severity) ? p.severity : "unknown",
+    state: p.state,
+    muted: p.muted,
+    url: p.url,
+    total: p.occurrences.length,
+    recent: daily.reduce((a, b) => a + b, 0),
+    lastSeen,
+    sources: [...sources].sort(),
+    daily
+  };
+}
+
+// -------------------- Page --------------------
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[c]);
+}
+
+const STYLE = `
+body { font: 14px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 24px; color: #1f2328; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+.meta { color: #59636e; margin-bottom: 16px; }
+.filters { display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 16px; }
+.filters label { display: flex; flex-direction: column; font-size: 12px; color: #59636e; }
+.breakdown { display: flex; gap: 8px; margin-bottom: 16px; }
+.sev { padding: 6px 10px; border-radius: 6px; color: #fff; min-width: 70px; }
+.sev b { display: block; font-size: 18px; }
+.sev-high { background: #cf222e; } .sev-medium { background: #bf8700; } .sev-low { background: #1a7f37; } .sev-unknown { background: #6e7781; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #d1d9e0; vertical-align: top; }
+th { cursor: pointer; user-select: none; white-space: nowrap; background: #f6f8fa; }
+th[data-dir="asc"]::after { content: " ▲"; } th[data-dir="desc"]::after { content: " ▼"; }
+td.sig { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; word-break: break-word; }
+td.num { text-align: right; }
+tr.muted { opacity: .55; }
+svg { display: block; }
+`;
+
+// Client-side rendering: filters, sorting, sparklines and the severity
+// breakdown all work on the embedded JSON.
+const SCRIPT = `
+const rows = JSON.parse(document.getElementById("data").textContent);
+const $ = (id) => document.getElementById(id);
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\\"": "&quot;", "'": "&#39;" })[c]);
+const SEV_ORDER = { high: 0, medium: 1, low: 2, unknown: 3 };
+let sortKey = "recent";
+let sortDir = "desc";
+
+function fillSelect(id, values) {
+  for (const v of [...new Set(values)].sort()) {
+    const o = document.createElement("option");
+    o.value = v;
+    o.textContent = v;
+    $(id).appendChild(o);
+  }
+}
+
+function sparkline(counts) {
+  const w = 120, h = 24, max = Math.max(1, ...counts);
+  const step = w / Math.max(1, counts.length - 1);
+  const pts = counts.map((c, i) => (i * step).toFixed(1) + "," + (h - 2 - (c / max) * (h - 4)).toFixed(1)).join(" ");
+  return '<svg width="' + w + '" height="' + h + '" viewBox="0 0 ' + w + " " + h + '"><polyline fill="none" stroke="#0969da" stroke-width="1.5" points="' + pts + '"/></svg>';
+}
+
+function compare(a, b) {
+  let x = a[sortKey], y = b[sortKey];
+  if (sortKey === "severity") { x = SEV_ORDER[x]; y = SEV_ORDER[y]; }
+  if (Array.isArray(x)) { x = x.join(","); y = y.join(","); }
+  const r = x < y ? -1 : x > y ? 1 : 0;
+  return sortDir === "asc" ? r : -r;
+}
+
+function render() {
+  const rule = $("f-rule").value, source = $("f-source").value, state = $("f-state").value;
+  const q = $("f-text").value.toLowerCase();
+  const shown = rows.filter((r) =>
+    (!rule || r.rule === rule) &&
+    (!source || r.sources.includes(source)) &&
+    (!state || r.state === state) &&
+    (!q || r.signature.toLowerCase().includes(q))
+  ).sort(compare);
+
+  const bySeverity = { high: 0, medium: 0, low: 0, unknown: 0 };
+  for (const r of shown) bySeverity[r.severity]++;
+  $("breakdown").innerHTML = Object.entries(bySeverity)
+    .map(([s, n]) => '<div class="sev sev-' + s + '"><b>' + n + "</b>" + s + "</div>").join("");
+
+  $("rows").innerHTML = shown.map((r) =>
+    '<tr class="' + (r.muted ? "muted" : "") + '">' +
+    '<td><a href="' + esc(r.url) + '">' + esc(r.hash) + "</a></td>" +
+    '<td class="sig">' + esc(r.signature) + "</td>" +
+    "<td>" + esc(r.rule) + "</td>" +
+    "<td>" + esc(r.severity) + "</td>" +
+    "<td>" + esc(r.state) + (r.muted ? " (muted)" : "") + "</td>" +
+    '<td class="num">' + r.total + "</td>" +
+    '<td class="num">' + r.recent + "</td>" +
+    "<td>" + sparkline(r.daily) + "</td>" +
+    "<td>" + esc(r.lastSeen.slice(0, 10)) + "</td>" +
+    "<td>" + esc(r.sources.join(", ")) + "</td></tr>"
+  ).join("");
+  $("count").textContent = shown.length + " of " + rows.length + " patterns";
+
+  for (const th of document.querySelectorAll("th[data-key]")) {
+    if (th.dataset.key === sortKey) th.dataset.dir = sortDir; else delete th.dataset.dir;
+  }
+}
+
+fillSelect("f-rule", rows.map((r) => r.rule));
+fillSelect("f-source", rows.flatMap((r) => r.sources));
+fillSelect("f-state", rows.map((r) => r.state));
+for (const id of ["f-rule", "f-source", "f-state", "f-text"]) $(id).addEventListener("input", render);
+for (const th of document.querySelectorAll("th[data-key]")) {
+  th.addEventListener("click", () => {
+    sortDir = sortKey === th.dataset.key && sortDir === "desc" ? "asc" : "desc";
+    sortKey = th.dataset.key;
+    render();
+  });
+}
+render();
+`;
+
+function renderDashboard(patterns, { now = new Date(), days = SPARKLINE_DAYS, title = "CI failure patterns", defaultSource = "" } = {}) {
+  const rows = patterns.map((p) => toRow(p, { now, days, defaultSource: defaultSource || "(this repo)" }));
+  // "<" is escaped so signatures can't close the data script tag.
+  const json = JSON.stringify(rows).replace(/</g, "\\u003c");
+
+  const columns = [
+    ["hash", "Pattern"], ["signature", "Signature"], ["rule", "Rule"], ["severity", "Severity"],
+    ["state", "State"], ["total", "Total"], ["recent", `Last ${days}d`], [null, "Trend"],
+    ["lastSeen", "Last seen"], ["sources", "Source repos"]
+  ];
+  const header = columns
+    .map(([key, label]) => (key ? `<th data-key="${key}">${escapeHtml(label)}</th>` : `<th>${escapeHtml(label)}</th>`))
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">Generated ${escapeHtml(now.toISOString())} · <span id="count"></span></div>
+<div class="filters">
+<label>Rule<select id="f-rule"><option value="">All</option></select></label>
+<label>Source repo<select id="f-source"><option value="">All</option></select></label>
+<label>State<select id="f-state"><option value="">All</option></select></label>
+<label>Signature contains<input id="f-text" type="search"></label>
+</div>
+<div class="breakdown" id="breakdown"></div>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody id="rows"></tbody>
+</table>
+<script type="application/json" id="data">${json}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+export {
+  renderDashboard
+};
@@ -0,0 +1,171 @@
+import { formatFixTime } from "./error-detector.js";
+
+const DIGEST_MARKER = "<!-- ci-failure-analyzer:digest:v1 -->";
+const DIGEST_LABEL = "ci-health";
+const TOP_PATTERNS = 10;
+
+// -------------------- Aggregation --------------------
+
+function countSince(pattern, from, to = null) {
+  return pattern.occurrences.filter((o) => {
+    const t = new Date(o.when);
+    return t >= from && (!to || t < to);
+  }).length;
+}
+
+function trend(current, previous) {
+  if (previous === 0 && current > 0) return "new";
+  if (current > previous) return `↑ +${current - previous}`;
+  if (current < previous) return `↓ −${previous - current}`;
+  return "→";
+}
+
+// Summarizes pattern activity in the last `windowDays` against the window
+// before it. `patterns` come from any pattern store's list().
+function buildDigest(patterns, { now = new Date(), windowDays = 7, notifyThreshold = 0, fixTimes = {} } = {}) {
+  const from = new Date(now.getTime() - windowDays * 86400000);
+  const previousFrom = new Date(from.getTime() - windowDays * 86400000);
+
+  const rows = patterns.map((p) => {
+    const current = countSince(p, from);
+    const previous = countSince(p, previousFrom, from);
+    return {
+      hash: p.hash,
+      signature: p.signature,
+      rule: p.rule,
+      url: p.url,
+      state: p.state,
+      severity: p.severity,
+      current,
+      previous,
+      trend: trend(current, previous),
+      total: p.occurrences.length,
+      before: p.occurrences.length - current,
+      isNew: Boolean(p.createdAt) && new Date(p.createdAt) >= from,
+      recurred: p.occurrences.some((o) => o.reopened && new Date(o.when) >= from)
+    };
+  });
+
+  const active = rows.filter((r) => r.current > 0);
+
+  const rules = {};
+  for (const r of rows) {
+    if (r.current === 0 && r.previous === 0) continue;
+    if (!rules[r.rule]) rules[r.rule] = { rule: r.rule, current: 0, previous: 0 };
+    rules[r.rule].current += r.current;
+    rules[r.rule].previous += r.previous;
+  }
+
+  const current = active.reduce((n, r) => n + r.current, 0);
+  const previous = rows.reduce((n, r) => n + r.previous, 0);
+
+  return {
+    windowDays,
+    from: from.toISOString(),
+    to: now.toISOString(),
+    totals: { current, previous, trend: trend(current, previous), activePatterns: active.length },
+    top: [...active].sort((a, b) => b.current - a.current || b.total - a.total).slice(0, TOP_PATTERNS),
+    newPatterns: rows.filter((r) => r.isNew),
+    recurrences: rows.filter((r) => r.recurred),
+    crossedThreshold: notifyThreshold > 0
+      ? rows.filter((r) => r.before < notifyThreshold && r.total >= notifyThreshold)
+      : [],
+    notifyThreshold,
+    rules: Object.values(rules)
+      .map((r) => ({ ...r, trend: trend(r.current, r.previous) }))
+      .sort((a, b) => b.current - a.current),
+    fixTimes: Object.entries(fixTimes)
+      .map(([rule, hours]) => ({ rule, hours }))
+      .sort((a, b) => a.hours - b.hours)
+  };
+}
+
+// -------------------- Rendering --------------------
+
+function cell(text, max = 80) {
+  const t = String(text ?? "").replace(/\s+/g, " ");
+  const short = t.length > max ? t.slice(0, max - 1) + "…" : t;
+  return short.replace(/\|/g, "\\|").replace(/`/g, "'");
+}
+
+function patternRef(r) {
+  return `[${r.hash.slice(0, 8)}](${r.url}) \`${cell(r.signature)}\``;
+}
+
+function renderList(rows, describe) {
+  if (rows.length === 0) return "None.\n";
+  return rows.map((r) => `- ${patternRef(r)} — ${describe(r)}\n`).join("");
+}
+
+function renderDigest(digest) {
+  const { totals } = digest;
+  const out = [
+    `### CI health: ${digest.from.slice(0, 10)} to ${digest.to.slice(0, 10)}\n\n`,
+    `**${totals.current}** failure occurrence(s) across **${totals.activePatterns}** pattern(s) ` +
+      `in the last ${digest.windowDays} days (previous ${digest.windowDays} days: ${totals.previous}, ${totals.trend}).\n`
+  ];
+
+  out.push("\n#### Top patterns\n");
+  if (digest.top.length === 0) {
+    out.push("No failures in this window.\n");
+  } else {
+    out.push("| Pattern | Rule | This window | Previous | Trend | Total |\n|---|---|---|---|---|---|\n");
+    for (const r of digest.top) {
+      out.push(`| ${patternRef(r)} | ${cell(r.rule)} | ${r.current} | ${r.previous} | ${r.trend} | ${r.total} |\n`);
+    }
+  }
+
+  out.push(`\n#### New patterns (${digest.newPatterns.length})\n`);
+  out.push(renderList(digest.newPatterns, (r) => `${r.rule}, ${r.current} occurrence(s)`));
+
+  out.push(`\n#### Recurrences of closed patterns (${digest.recurrences.length})\n`);
+  out.push(renderList(digest.recurrences, (r) => `${r.rule}, ${r.current} occurrence(s) this window`));
+
+  if (digest.notifyThreshold > 0) {
+    out.push(`\n#### Crossed the notify threshold of ${digest.notifyThreshold} (${digest.crossedThreshold.length})\n`);
+    out.push(renderList(digest.crossedThreshold, (r) => `${r.total} occurrences in total`));
+  }
+
+  out.push("\n#### By rule\n");
+  if (digest.rules.length === 0) {
+    out.push("None.\n");
+  } else {
+    out.push("| Rule | This window | Previous | Trend |\n|---|---|---|---|\n");
+    for (const r of digest.rules) out.push(`| ${cell(r.rule)} | ${r.current} | ${r.previous} | ${r.trend} |\n`);
+  }
+
+  out.push("\n#### Median time to fix\n");
+  if (digest.fixTimes.length === 0) {
+    out.push("No closed patterns yet.\n");
+  } else {
+    out.push("| Rule | Median |\n|---|---|\n");
+    for (const f of digest.fixTimes) out.push(`| ${cell(f.rule)} | ${formatFixTime(f.hours)} |\n`);
+  }
+
+  return out.join("");
+}
+
+// -------------------- Digest issue --------------------
+
+// One long-lived issue, found by label and marker, rewritten on every report.
+async function upsertDigestIssue(octokit, { owner, repo, title, body }) {
+  const items = await octokit.paginate(octokit.rest.issues.listForRepo, {
+    owner, repo, labels: DIGEST_LABEL, state: "open", per_page: 100
+  });
+  const existing = items.find((i) => !i.pull_request && (i.body || "").includes(DIGEST_MARKER));
+  const fullBody = `${DIGEST_MARKER}\n${body}`;
+
+  if (existing) {
+    await octokit.rest.issues.update({ owner, repo, issue_number: existing.number, title, body: fullBody });
+    return { updated: true, url: existing.html_url };
+  }
+
+  const created = await octokit.rest.issues.create({ owner, repo, title, body: fullBody, labels: [DIGEST_LABEL] });
+  return { updated: false, url: created.data.html_url };
+}
+
+export {
+  buildDigest,
+  renderDigest,
+  upsertDigestIssue
+};
@@ -1,5 +1,9 @@
+import * as core from "@actions/core";
 import * as github from "@actions/github";
 
+import { normalize } from "./utils.js";
+import { extractTestFailure } from "./test-extractors.js";
+
 const RUNBOOK_SLUGS = {
   ESLint: "eslint",
   TypeScript: "typescript",
@@ -17,6 +21,15 @@ const RUNBOOK_SLUGS = {
   Maven: "maven",
   Gradle: "gradle",
   JUnit: "junit",
+  "Test report": "test-report",
+  Annotation: "annotation",
+  Runner: "infra-runner",
+  Timeout: "infra-timeout",
+  Cancelled: "infra-cancelled",
+  "Out of memory": "infra-oom",
+  "Disk space": "infra-disk",
+  Registry: "infra-registry",
+  Network: "infra-network",
   Generic: "generic"
 };
 
@@ -73,172 +86,700 @@ function findStepForLineIndex(stepStarts, lineIndex) {
 
 // -------------------- Custom rules --------------------
 
-function parseCustomRules(raw) {
+// Custom rule fields:
+//   name, pattern       required
+//   hint                may reference capture groups: {1}, {0} or {groupName}
+//   flags               regex flags (default "i"; g and y are not allowed)
+//   exclude             pattern or list of patterns for known-noise lines
+//   severity            base severity for pattern issues (low | medium | high)
+//   deploy_risk         low | medium | high
+//   runbook             runbook slug appended to runbook_url
+//   priority            high | normal | low, or a 0-1 specificity; a "high"
+//                       hit wins over every other hit regardless of score,
+//                       "low" only beats weak built-ins
+
+const RISK_LEVELS = ["low", "medium", "high"];
+const PRIORITY_SPECIFICITY = { high: 0.99, normal: 0.9, low: 0.3 };
+
+function compileRegex(pattern, flags) {
+  if (/[gy]/.test(flags)) throw new Error(`flags "${flags}" must not include g or y`);
+  return new RegExp(pattern, flags);
+}
+
+// Returns a list of problems with a single custom rule; empty means valid.
+function validateCustomRule(r) {
+  if (r === null || typeof r !== "object" || Array.isArray(r)) return ["must be an object with name and pattern"];
+
+  const errors = [];
+  const flags = r.flags ?? "i";
+
+  if (typeof r.name !== "string" || !r.name.trim()) errors.push("name: required string");
+  if (typeof flags !== "string" || !/^[dimsu]*$/.test(flags)) {
+    errors.push(`flags: must be a combination of d, i, m, s, u (got ${JSON.stringify(r.flags)})`);
+  }
+  if (typeof r.pattern !== "string" || !r.pattern) {
+    errors.push("pattern: required string");
+  } else {
+    try {
+      compileRegex(r.pattern, typeof flags === "string" ? flags.replace(/[^dimsu]/g, "") : "i");
+    } catch (e) {
+      errors.push(`pattern: invalid regular expression (${e.message})`);
+    }
+  }
+  if (r.hint !== undefined && typeof r.hint !== "string") errors.push("hint: must be a string");
+
+  if (r.exclude !== undefined) {
+    const list = Array.isArray(r.exclude) ? r.exclude : [r.exclude];
+    list.forEach((x, i) => {
+      if (typeof x !== "string" || !x) {
+        errors.push(`exclude[${i}]: must be a non-empty string`);
+        return;
+      }
+      try {
+        new RegExp(x, "i");
+      } catch (e) {
+        errors.push(`exclude[${i}]: invalid regular expression (${e.message})`);
+      }
+    });
+  }
+
+  for (const key of ["severity", "deploy_risk"]) {
+    if (r[key] !== undefined && !RISK_LEVELS.includes(r[key])) {
+      errors.push(`${key}: must be one of ${RISK_LEVELS.join(", ")} (got ${JSON.stringify(r[key])})`);
+    }
+  }
+  if (r.runbook !== undefined && (typeof r.runbook !== "string" || !r.runbook)) {
+    errors.push("runbook: must be a non-empty string");
+  }
+  if (r.priority !== undefined) {
+    const ok = PRIORITY_SPECIFICITY[r.priority] !== undefined
+      || (typeof r.priority === "number" && r.priority >= 0 && r.priority <= 1);
+    if (!ok) errors.push(`priority: must be high, normal, low or a number between 0 and 1 (got ${JSON.stringify(r.priority)})`);
+  }
+
+  return errors;
+}
+
+function compileCustomRule(r) {
+  const exclude = r.exclude === undefined ? [] : [].concat(r.exclude);
+  return {
+    name: r.name,
+    re: compileRegex(r.pattern, r.flags ?? "i"),
+    hint: r.hint || "",
+    exclude: exclude.map((x) => new RegExp(x, "i")),
+    severity: r.severity || "",
+    deployRisk: r.deploy_risk || "",
+    runbook: r.runbook || "",
+    specificity: typeof r.priority === "number"
+      ? r.priority
+      : PRIORITY_SPECIFICITY[r.priority || "normal"],
+    override: r.priority === "high"
+  };
+}
+
+// Invalid entries are skipped with a warning naming the entry, instead of
+// dropping the whole list.
+function parseCustomRules(raw, { warn = core.warning } = {}) {
   if (!raw) return [];
-  try {
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return [];
-    return parsed
-      .filter((r) => r.name && r.pattern)
-      .map((r) => ({ name: r.name, re: new RegExp(r.pattern, "i"), hint: r.hint || "" }));
-  } catch {
+
+  let parsed = raw;
+  if (typeof raw === "string") {
+    try {
+      parsed = JSON.parse(raw);
+    } catch (e) {
+      warn(`custom_rules: invalid JSON (${e.message}); no custom rules loaded`);
+      return [];
+    }
+  }
+  if (!Array.isArray(parsed)) {
+    warn("custom_rules: expected a JSON array of rules; no custom rules loaded");
     return [];
   }
+
+  const rules = [];
+  parsed.forEach((r, i) => {
+    const errors = validateCustomRule(r);
+    if (errors.length > 0) {
+      const label = r && typeof r.name === "string" ? ` ("${r.name}")` : "";
+      warn(`custom rule #${i + 1}${label} skipped: ${errors.join("; ")}`);
+      return;
+    }
+    rules.push(compileCustomRule(r));
+  });
+  return rules;
+}
+
+// Per-rule runbook slugs and deploy risk feed the same tables as config
+// overrides; severity is returned for the pattern tracker.
+function applyCustomRuleOverrides(customRules) {
+  const pick = (field) => Object.fromEntries(
+    customRules.filter((r) => r[field]).map((r) => [r.name, r[field]])
+  );
+  applyRuleOverrides({ runbookSlugs: pick("runbook"), deployRisk: pick("deployRisk") });
+  return pick("severity");
+}
+
+function renderHintTemplate(template, re, line) {
+  const m = line ? stripLogTimestamp(line).match(re) : null;
+  if (!m) return template;
+  return template.replace(/\{(\w+)\}/g, (all, key) => {
+    const v = /^\d+$/.test(key) ? m[Number(key)] : m.groups?.[key];
+    return v ?? all;
+  });
 }
 
 // -------------------- Error detection --------------------
 
-function pickFirstMeaningfulError(lines, customRules = []) {
-  const rules = [
-    ...customRules.map((r) => ({ name: r.name, re: r.re })),
-    // ESLint
-    { name: "ESLint", re: /^\s*\d+:\d+\s+(error|warning)\s+.+\s+.+$/i },
-    { name: "ESLint", re: /\bESLint\b.*(found|problems?)/i },
-    { name: "ESLint", re: /eslint(?:\.js)?:\s+.*(error|failed)/i },
-    // TypeScript
-    { name: "TypeScript", re: /error TS\d+:/i },
-    { name: "TypeScript", re: /Type error:|TS\d{3,5}\b/i },
-    // npm/yarn/pnpm
-    { name: "npm", re: /\bnpm ERR!\b/i },
-    { name: "npm", re: /\bERR_PNPM_\w+\b/i },
-    { name: "npm", re: /\byarn (run|install)\b.*(error|failed)/i },
-    // Jest/Vitest
-    { name: "Jest/Vitest", re: /^(FAIL|●)\b/ },
-    { name: "Jest/Vitest", re: /(Test Suites: \d+ failed|AssertionError)/ },
-    // Build tools
-    { name: "Build", re: /\b(vite|webpack)\b.*(error|failed)/i },
-    { name: "Build", re: /\bBuild failed\b/i },
-    // Docker
-    { name: "Docker", re: /(failed to solve|executor failed|ERROR: failed|docker buildx|#\d+ ERROR)/i },
-    // Python: pytest
-    { name: "pytest", re: /FAILED\s+\S+\.py/i },
-    { name: "pytest", re: /ERROR\s+\S+\.py/i },
-    // Python: mypy
-    { name: "mypy", re: /\.py:\d+: error:/i },
-    // Python: ruff/flake8
-    { name: "ruff/flake8", re: /\.py:\d+:\d+:\s+[A-Z]\d+/i },
-    // Python: pip
-    { name: "pip", re: /ERROR:.*pip/i },
-    // Go
-    { name: "Go", re: /--- FAIL:/i },
-    { name: "Go", re: /\.go:\d+:\d+:/i },
-    { name: "Go", re: /cannot find package/i },
-    { name: "Go", re: /\bundefined:/i },
-    // Java
-    { name: "Java", re: /error:\s+.*java/i },
-    { name: "Java", re: /\bjavac\b.*error/i },
-    { name: "Java", re: /COMPILATION ERROR/i },
-    // Maven
-    { name: "Maven", re: /\[ERROR\].*BUILD FAILURE/i },
-    { name: "Maven", re: /\[ERROR\].*Failed to execute goal/i },
-    // Gradle
-    { name: "Gradle", re: /FAILURE: Build failed/i },
-    { name: "Gradle", re: /Execution failed for task/i },
-    // JUnit
-    { name: "JUnit", re: /Tests run:.*Failures: [1-9]/i },
-    { name: "JUnit", re: /\bFAILURE!\b.*Tests run/i },
-    // Generic JS runtime errors
-    { name: "Node", re: /\b(TypeError|ReferenceError|SyntaxError)\b/ },
-    { name: "Node", re: /\bUnhandledPromiseRejection\b|\bUnhandled rejection\b/i }
+// Job logs prefix every line with a timestamp
+// (`2024-05-01T10:00:00.1234567Z error[E0308]: ...`). Rules are written
+// against the line as the tool printed it, so it is stripped before matching.
+const LOG_TIMESTAMP_RE = /^\uFEFF?\d{4}-\d\d-\d\dT[\d:.]+Z ?/;
+
+function stripLogTimestamp(line) {
+  return String(line ?? "").replace(LOG_TIMESTAMP_RE, "");
+}
+
+const BUILTIN_RULES = [
+  // ESLint
+  { name: "ESLint", re: /^\s*\d+:\d+\s+(error|warning)\s+.+\s+.+$/i, specificity: 0.6 },
+  { name: "ESLint", re: /\bESLint\b.*(found|problems?)/i, specificity: 0.5 },
+  { name: "ESLint", re: /eslint(?:\.js)?:\s+.*(error|failed)/i, specificity: 0.6 },
+  // TypeScript
+  { name: "TypeScript", re: /error TS\d+:/i, specificity: 0.95 },
+  { name: "TypeScript", re: /Type error:|TS\d{3,5}\b/i, specificity: 0.6 },
+  // npm/yarn/pnpm
+  { name: "npm", re: /\bnpm ERR!\b/i, specificity: 0.7 },
+  { name: "npm", re: /\bERR_PNPM_\w+\b/i, specificity: 0.8 },
+  { name: "npm", re: /\byarn (run|install)\b.*(error|failed)/i, specificity: 0.6 },
+  // Jest/Vitest
+  { name: "Jest/Vitest", re: /^\s*FAIL\s+\S+\.(?:[cm]?[jt]sx?|vue|svelte)\b/, specificity: 0.8 },
+  { name: "Jest/Vitest", re: /^\s*●\s(?!Console\b)/, specificity: 0.8 },
+  { name: "Jest/Vitest", re: /(Test Suites: \d+ failed|AssertionError)/, specificity: 0.6 },
+  // Build tools
+  { name: "Build", re: /\b(vite|webpack)\b.*(error|failed)/i, specificity: 0.5 },
+  { name: "Build", re: /\bBuild failed\b/i, specificity: 0.5 },
+  // Docker
+  { name: "Docker", re: /(failed to solve|executor failed|ERROR: failed|docker buildx|#\d+ ERROR)/i, specificity: 0.6 },
+  // Python: pytest
+  { name: "pytest", re: /FAILED\s+\S+\.py/i, specificity: 0.85 },
+  { name: "pytest", re: /ERROR\s+\S+\.py/i, specificity: 0.7 },
+  // Python: mypy
+  { name: "mypy", re: /\.py:\d+: error:/i, specificity: 0.9 },
+  // Python: ruff/flake8
+  { name: "ruff/flake8", re: /\.py:\d+:\d+:\s+[A-Z]\d+/i, specificity: 0.85 },
+  // Python: pip
+  { name: "pip", re: /ERROR:.*pip/i, specificity: 0.5 },
+  // Go
+  { name: "Go", re: /--- FAIL:/i, specificity: 0.85 },
+  { name: "Go", re: /\.go:\d+:\d+:/i, specificity: 0.8 },
+  { name: "Go", re: /cannot find package/i, specificity: 0.8 },
+  { name: "Go", re: /\bundefined:/i, specificity: 0.5 },
+  // Java
+  { name: "Java", re: /error:\s+.*java/i, specificity: 0.6 },
+  { name: "Java", re: /\bjavac\b.*error/i, specificity: 0.7 },
+  { name: "Java", re: /COMPILATION ERROR/i, specificity: 0.7 },
+  // Maven
+  { name: "Maven", re: /\[ERROR\].*BUILD FAILURE/i, specificity: 0.4 },
+  { name: "Maven", re: /\[ERROR\].*Failed to execute goal/i, specificity: 0.5 },
+  // Gradle
+  { name: "Gradle", re: /FAILURE: Build failed/i, specificity: 0.4 },
+  { name: "Gradle", re: /Execution failed for task/i, specificity: 0.5 },
+  // JUnit
+  { name: "JUnit", re: /Tests run:.*Failures: [1-9]/i, specificity: 0.7 },
+  { name: "JUnit", re: /\bFAILURE!\b.*Tests run/i, specificity: 0.7 },
+  // Generic JS runtime errors
+  { name: "Node", re: /\b(TypeError|ReferenceError|SyntaxError)\b/, specificity: 0.35 },
+  { name: "Node", re: /\bUnhandledPromiseRejection\b|\bUnhandled rejection\b/i, specificity: 0.4 }
+];
+
+// Rules contributed by enabled rule packs (see lib/rule-packs).
+let packRules = [];
+
+function enableRulePacks(packs) {
+  packRules = packs.flatMap((p) => p.rules);
+  for (const p of packs) {
+    applyRuleOverrides({ hints: p.hints, runbookSlugs: p.runbookSlugs, deployRisk: p.deployRisk });
+  }
+}
+
+// -------------------- Infrastructure rules --------------------
+
+// Failures caused by the runner or external services rather than the code
+// under test. They are specific enough to beat the tool rules that would
+// otherwise claim the same line (e.g. `npm ERR! 429`).
+const INFRA_RULES = [
+  { name: "Runner", re: /The runner has received a shutdown signal/i, specificity: 0.95 },
+  { name: "Runner", re: /lost communication with the server/i, specificity: 0.95 },
+  { name: "Timeout", re: /has exceeded the maximum execution time of/i, specificity: 0.95 },
+  { name: "Timeout", re: /##\[error\]The action '.+' has timed out after/i, specificity: 0.9 },
+  { name: "Out of memory", re: /\bexit code 137\b|\bOOMKilled\b/i, specificity: 0.9 },
+  { name: "Out of memory", re: /JavaScript heap out of memory|Cannot allocate memory|\bout of memory\b/i, specificity: 0.85 },
+  { name: "Disk space", re: /No space left on device|\bENOSPC\b/, specificity: 0.95 },
+  { name: "Registry", re: /\b429 Too Many Requests\b|\btoomanyrequests\b|\bE429\b/i, specificity: 0.9 },
+  { name: "Registry", re: /\b(502 Bad Gateway|503 Service Unavailable|504 Gateway Time-?out)\b|\bE50[234]\b/i, specificity: 0.85 },
+  { name: "Network", re: /\b(EAI_AGAIN|ENOTFOUND|ECONNRESET|ETIMEDOUT)\b|Temporary failure in name resolution|Could not resolve host/i, specificity: 0.8 }
+];
+
+const INFRA_RULE_NAMES = new Set(INFRA_RULES.map((r) => r.name));
+
+// A cancellation (fail-fast, by hand, or a `concurrency` group cancelling
+// in-progress runs) was asked for: it is neither a code failure nor
+// infrastructure, and a re-run would work against it.
+const CANCELLED_RULE = "Cancelled";
+const CANCEL_RULES = [
+  { name: CANCELLED_RULE, re: /##\[error\]The operation was canceled\./i, specificity: 0.5 }
+];
+
+function classifyCategory(ruleName) {
+  if (ruleName === CANCELLED_RULE) return "cancelled";
+  return INFRA_RULE_NAMES.has(ruleName) ? "infra" : "code";
+}
+
+// Job verdict: "infra" when every hit is infrastructure (or the job timed out
+// with nothing pointing at the code), "code" when every hit is code, "mixed"
+// when both appear, "cancelled" when the job was cancelled with nothing else
+// to go on, "unknown" otherwise. Cancellation hits never count as a cause.
+function classifyJobVerdict(hits, conclusion) {
+  const categories = new Set(hits.map((h) => classifyCategory(h.rule)));
+  const cancelled = categories.delete("cancelled") || conclusion === "cancelled";
+  if (categories.size === 0) {
+    if (conclusion === "timed_out") return "infra";
+    return cancelled ? "cancelled" : "unknown";
+  }
+  if (categories.size > 1) return "mixed";
+  return categories.has("infra") ? "infra" : "code";
+}
+
+// Cancelled jobs only decide the run verdict when nothing else does.
+function classifyRunVerdict(jobVerdicts) {
+  const known = jobVerdicts.filter((v) => v !== "unknown" && v !== "cancelled");
+  if (known.length === 0) return jobVerdicts.includes("cancelled") ? "cancelled" : "unknown";
+  if (known.every((v) => v === "infra")) return "infra";
+  if (known.every((v) => v === "code")) return "code";
+  return "mixed";
+}
+
+function buildRuleList(customRules = []) {
+  return [
+    ...customRules.map((r) => ({
+      name: r.name, re: r.re, exclude: r.exclude || [], specificity: r.specificity ?? CUSTOM_RULE_SPECIFICITY,
+      override: Boolean(r.override)
+    })),
+    ...INFRA_RULES,
+    ...CANCEL_RULES,
+    ...BUILTIN_RULES,
+    ...packRules
   ];
+}
 
-  for (const rule of rules) {
-    const idx = lines.findIndex((l) => rule.re.test(l));
-    if (idx !== -1) {
-      const excerpt = lines.slice(Math.max(0, idx - 2), Math.min(lines.length, idx + 12));
-      return { rule: rule.name, line: lines[idx], excerpt, lineIndex: idx };
+function excerptAround(lines, idx) {
+  return lines.slice(Math.max(0, idx - 2), Math.min(lines.length, idx + 12));
+}
+
+function isGenericErrorLine(l) {
+  if (!l) return false;
+  if (/##\[(group|endgroup|debug|notice)\]/i.test(l)) return false;
+  if (EXIT_CODE_RE.test(l)) return false;
+  return /\berror\b|exception|failed/i.test(l);
+}
+
+// -------------------- Workflow command annotations --------------------
+
+// Errors the tools themselves reported: `::error file=...,line=...::message`
+// commands, the `##[error]` lines they (and problem matchers) leave in the
+// raw log, and the job's check-run annotations. They say exactly where the
+// failure is, so they score above regex guesses.
+const ANNOTATION_RULE = "Annotation";
+const LOCATED_ANNOTATION_SPECIFICITY = 0.95;
+const ANNOTATION_SPECIFICITY = 0.8;
+const JOB_ANNOTATION_SCORE = 0.9;
+
+const ERROR_COMMAND_RE = /(?:^|\s)::error(?:\s+([^:]*))?::(.*)$/;
+const ERROR_MARKER_RE = /##\[error\](.*)$/;
+
+function unescapeCommandData(v) {
+  return v.replace(/%0D/gi, "\r").replace(/%0A/gi, "\n").replace(/%25/g, "%");
+}
+
+function unescapeCommandProperty(v) {
+  return unescapeCommandData(v).replace(/%3A/gi, ":").replace(/%2C/gi, ",");
+}
+
+function parseWorkflowAnnotation(line) {
+  const cmd = ERROR_COMMAND_RE.exec(line || "");
+  if (cmd) {
+    const props = {};
+    for (const pair of (cmd[1] || "").split(",")) {
+      const eq = pair.indexOf("=");
+      if (eq > 0) props[pair.slice(0, eq).trim()] = unescapeCommandProperty(pair.slice(eq + 1).trim());
     }
+    return {
+      file: props.file || "",
+      line: props.line ? Number(props.line) : null,
+      column: props.col ? Number(props.col) : null,
+      title: props.title || "",
+      message: unescapeCommandData(cmd[2]).trim()
+    };
   }
 
-  const idx = lines.findIndex((l) => {
-    if (!l) return false;
-    if (/##\[(group|endgroup|debug|notice)\]/i.test(l)) return false;
-    return /\berror\b|exception|failed/i.test(l);
+  const marker = ERROR_MARKER_RE.exec(line || "");
+  if (marker && !EXIT_CODE_RE.test(line)) {
+    return { file: "", line: null, column: null, title: "", message: marker[1].trim() };
+  }
+  return null;
+}
+
+// "file:line:col: message", so annotations read like compiler output and
+// their location is picked up by the check run and SARIF export.
+function annotationText(a) {
+  const firstLine = a.message.split(/\r?\n/)[0];
+  if (!a.file) return firstLine;
+  const where = a.line ? `${a.file}:${a.line}${a.column ? `:${a.column}` : ""}` : a.file;
+  return `${where}: ${firstLine}`;
+}
+
+// A located annotation is trusted outright. Without a location, a rule that
+// matches the raw line keeps its own weight (e.g. cancellations stay low).
+function annotationHit(lines, ctx, rules, idx, annotation) {
+  const text = annotationText(annotation);
+  const lineRule = matchLine(rules, lines[idx]);
+  const rule = lineRule || matchLine(rules, text);
+  const specificity = annotation.file
+    ? Math.max(LOCATED_ANNOTATION_SPECIFICITY, rule?.specificity || 0)
+    : lineRule ? lineRule.specificity : Math.max(ANNOTATION_SPECIFICITY, rule?.specificity || 0);
+
+  // Unlocated markers keep the raw line, so their signatures match the ones
+  // tracked before annotations were parsed.
+  const hit = makeHit(lines, ctx, rule?.name || ANNOTATION_RULE, idx, specificity);
+  return { ...hit, line: annotation.file ? text : hit.line, annotation, ...(rule?.override ? { override: true } : {}) };
+}
+
+async function listJobAnnotations(octokit, { owner, repo, jobId }) {
+  return octokit.paginate(octokit.rest.checks.listAnnotations, {
+    owner, repo, check_run_id: jobId, per_page: 100
   });
+}
+
+// Failure annotations from the check-run API (a job's id is its check run's
+// id). The runner's own "Process completed with exit code" annotation is
+// skipped, as are annotations already found in the log.
+function jobAnnotationsToHits(annotations, customRules = [], { stepName = "", knownHits = [] } = {}) {
+  const rules = buildRuleList(customRules);
+  const known = knownHits.map((h) => h.line || "");
+  const exitMarker = annotations.map((a) => /^Process completed with exit code (\d+)/.exec(a.message || "")).find(Boolean);
+
+  return annotations
+    .filter((a) => a.annotation_level === "failure" && a.message && !/^Process completed with exit code \d+/.test(a.message))
+    .map((a) => ({
+      file: a.path && a.path !== ".github" ? a.path : "",
+      line: a.path && a.path !== ".github" ? a.start_line || null : null,
+      column: a.start_column || null,
+      title: a.title || "",
+      message: a.message
+    }))
+    .filter((a) => !known.some((l) => l.includes(a.message.split(/\r?\n/)[0])))
+    .map((annotation) => {
+      const text = annotationText(annotation);
+      const rule = matchLine(rules, text);
+      // Not a log line: there is no position to score, only the fixed score
+      const hit = {
+        rule: rule?.name || ANNOTATION_RULE,
+        line: text,
+        excerpt: [text, ...annotation.message.split(/\r?\n/).slice(1, 12)],
+        lineIndex: null,
+        score: JOB_ANNOTATION_SCORE,
+        confidence: confidenceLevel(JOB_ANNOTATION_SCORE),
+        signals: { specificity: LOCATED_ANNOTATION_SPECIFICITY },
+        stepName: stepName || "Unknown step",
+        fileName: "check run annotations",
+        exitCode: exitMarker ? Number(exitMarker[1]) : null,
+        annotation
+      };
+      return { ...hit, signature: hitSignature(hit) };
+    });
+}
+
+// Multi-hit mode: annotations join the log hits, deduplicated by signature.
+// When that's more than `maxHits`, the failed step's hits are kept first
+// (annotations ahead of log hits); the rest stay grouped by step.
+function mergeJobAnnotationHits(annotated, logHits, { maxHits = 10, stepName = "" } = {}) {
+  const seen = new Set();
+  const unique = [...annotated, ...logHits].filter((h) => {
+    const signature = h.signature || hitSignature(h);
+    if (seen.has(signature)) return false;
+    seen.add(signature);
+    return true;
+  });
+
+  const failedStep = stepName || annotated[0]?.stepName;
+  const kept = new Set([
+    ...unique.filter((h) => h.stepName === failedStep),
+    ...unique.filter((h) => h.stepName !== failedStep)
+  ].slice(0, maxHits));
+
+  return groupHitsByStep([...logHits, ...annotated].filter((h) => kept.has(h)));
+}
+
+// -------------------- Scoring --------------------
+
+// A candidate's score is a weighted blend of how specific its rule is, how
+// early it appears, whether it sits in the step that actually failed, and how
+// close it is to that step's exit-code marker. Logs without an exit marker are
+// scored on specificity and position alone.
+const SCORE_WEIGHTS = { specificity: 0.45, position: 0.15, failedStep: 0.2, exitProximity: 0.2 };
+const EXIT_PROXIMITY_WINDOW = 200;
+const CUSTOM_RULE_SPECIFICITY = 0.9;
+const GENERIC_SPECIFICITY = 0.1;
+
+const EXIT_CODE_RE = /##\[error\]Process completed with exit code (\d+)/;
+
+function buildScoringContext(lines, stepStarts = buildStepIndex(lines)) {
+  const exitMarkers = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (EXIT_CODE_RE.test(lines[i])) exitMarkers.push(i);
+  }
+  const failedSteps = new Set(exitMarkers.map((idx) => findStepForLineIndex(stepStarts, idx)));
+  return { total: lines.length, stepStarts, exitMarkers, failedSteps };
+}
+
+function scoreCandidate(ctx, lineIndex, specificity) {
+  const signals = { specificity, position: 1 - lineIndex / Math.max(1, ctx.total) };
+  let score = SCORE_WEIGHTS.specificity * signals.specificity + SCORE_WEIGHTS.position * signals.position;
+  let max = SCORE_WEIGHTS.specificity + SCORE_WEIGHTS.position;
 
-  if (idx !== -1) {
-    const excerpt = lines.slice(Math.max(0, idx - 2), Math.min(lines.length, idx + 12));
-    return { rule: "Generic", line: lines[idx], excerpt, lineIndex: idx };
+  if (ctx.exitMarkers.length > 0) {
+    const step = findStepForLineIndex(ctx.stepStarts, lineIndex);
+    const nextExit = ctx.exitMarkers.find((e) => e >= lineIndex);
+    signals.failedStep = ctx.failedSteps.has(step) ? 1 : 0;
+    signals.exitProximity = nextExit === undefined
+      ? 0
+      : Math.max(0, 1 - (nextExit - lineIndex) / EXIT_PROXIMITY_WINDOW);
+    score += SCORE_WEIGHTS.failedStep * signals.failedStep + SCORE_WEIGHTS.exitProximity * signals.exitProximity;
+    max += SCORE_WEIGHTS.failedStep + SCORE_WEIGHTS.exitProximity;
   }
 
-  return null;
+  return { score: Math.round((score / max) * 100) / 100, signals };
 }
 
-function hintFor(ruleName, customRules = []) {
-  const custom = customRules.find((r) => r.name === ruleName);
-  if (custom && custom.hint) return [custom.hint, ""];
-
-  const hints = {
-    ESLint: [
-      "Run the linter locally and apply the suggested fix (often `npm run lint -- --fix` depending on your script).",
-      "If it's intentional, adjust the specific rule or add a targeted disable (avoid global ignores)."
-    ],
-    TypeScript: [
-      "Open the referenced file/line and fix the type mismatch; TS errors often cascade, so start with the first one.",
-      "If it's dependency types, check lockfile drift and TypeScript version compatibility."
-    ],
-    npm: [
-      "Scroll up to the first `npm ERR!` / pnpm error line; the last lines are usually summaries.",
-      "If it's install-related, verify Node version, lockfile, and registry/auth."
-    ],
-    "Jest/Vitest": [
-      "Run the failing test locally; focus on the first failing assertion and any snapshot mismatch.",
-      "If flaky, check timers, async cleanup, and shared state."
-    ],
-    Build: [
-      "Look for the first bundler error (missing import, invalid config, env mismatch).",
-      "If it's environment-only, compare Node version and build-time env vars."
-    ],
-    Docker: [
-      "The first failing build step is the real cause; missing files and auth issues are common.",
-      "Verify build context paths and base image tag availability."
-    ],
-    pytest: [
-      "Run the failing test locally with `pytest -x` to stop at the first failure.",
-      "Check for fixture issues, missing mocks, or environment-dependent tests."
-    ],
-    mypy: [
-      "Fix the type annotation at the referenced file/line; mypy errors often cascade from a single root cause.",
-      "If it's a third-party library, check for missing type stubs (`types-*` packages)."
-    ],
-    "ruff/flake8": [
-      "Run `ruff check --fix` or `flake8` locally to see and auto-fix lint issues.",
-      "If the rule is intentionally violated, add a `# noqa: <code>` comment on the specific line."
-    ],
-    pip: [
-      "Check Python version compatibility and that all dependencies are available.",
-      "If it's a build dependency, ensure system packages (e.g., `libffi-dev`) are installed."
-    ],
-    Go: [
-      "Run `go test ./...` locally to reproduce the failure.",
-      "For build errors, check `go.mod` / `go.sum` and run `go mod tidy`."
-    ],
-    Java: [
-      "Check the referenced file/line for the compilation error; fix type mismatches or missing imports.",
-      "Verify Java version compatibility between source and CI environment."
-    ],
-    Maven: [
-      "Run `mvn clean install` locally to reproduce; check dependency resolution and plugin versions.",
-      "If it's a dependency issue, run `mvn dependency:tree` to identify conflicts."
-    ],
-    Gradle: [
-      "Run the failing task locally with `--stacktrace` for details.",
-      "Check Gradle wrapper version and dependency resolution in `build.gradle`."
-    ],
-    JUnit: [
-      "Run the failing test class locally; focus on the first assertion failure.",
-      "Check for test order dependencies and shared state between tests."
-    ],
-    Node: [
-      "Find the first stack trace frame pointing to your code; earlier frames are often library internals.",
-      "If it's an unhandled promise, ensure awaits/returns are correct and add proper error handling."
-    ],
-    Generic: [
-      "Start from the first error-looking line; later failures are often symptoms.",
-      "If logs are huge, split steps or fail fast to reduce noise."
-    ]
+// Hits of `priority: high` custom rules win regardless of score; otherwise the
+// higher score wins.
+function outranks(a, b) {
+  if (Boolean(a.override) !== Boolean(b.override)) return Boolean(a.override);
+  return a.score > b.score;
+}
+
+function confidenceLevel(score) {
+  if (score >= 0.7) return "high";
+  if (score >= 0.45) return "medium";
+  return "low";
+}
+
+function matchLine(rules, line) {
+  const text = stripLogTimestamp(line);
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.re.test(text)) continue;
+    if (rule.exclude && rule.exclude.some((x) => x.test(text))) continue;
+    if (!best || rule.specificity > best.specificity) best = rule;
+  }
+  return best;
+}
+
+// Exit code from the "Process completed with exit code N" marker that ends
+// the step the line is in, or null.
+function exitCodeFor(lines, ctx, lineIndex) {
+  const step = findStepForLineIndex(ctx.stepStarts, lineIndex);
+  const marker = ctx.exitMarkers.find((e) => e >= lineIndex && findStepForLineIndex(ctx.stepStarts, e) === step);
+  return marker === undefined ? null : Number(EXIT_CODE_RE.exec(lines[marker])[1]);
+}
+
+function makeHit(lines, ctx, ruleName, lineIndex, specificity) {
+  const { score, signals } = scoreCandidate(ctx, lineIndex, specificity);
+  return {
+    rule: ruleName,
+    line: lines[lineIndex],
+    excerpt: excerptAround(lines, lineIndex),
+    lineIndex,
+    score,
+    confidence: confidenceLevel(score),
+    signals,
+    exitCode: exitCodeFor(lines, ctx, lineIndex)
   };
-  return hints[ruleName] || hints.Generic;
+}
+
+// Every line matched by any rule becomes a candidate, attributed to the most
+// specific rule that matches it. Returned in log order.
+function scoreCandidates(lines, customRules = [], { stepStarts } = {}) {
+  const rules = buildRuleList(customRules);
+  const ctx = buildScoringContext(lines, stepStarts);
+  const candidates = [];
+
+  for (let idx = 0; idx < lines.length; idx++) {
+    const annotation = parseWorkflowAnnotation(lines[idx]);
+    if (annotation?.message) {
+      candidates.push(annotationHit(lines, ctx, rules, idx, annotation));
+      continue;
+    }
+    const rule = matchLine(rules, lines[idx]);
+    if (!rule) continue;
+    const hit = makeHit(lines, ctx, rule.name, idx, rule.specificity);
+    candidates.push(rule.override ? { ...hit, override: true } : hit);
+  }
+
+  return { candidates, ctx };
+}
+
+function withTestFailure(lines, hit) {
+  const testFailure = extractTestFailure(hit.rule, lines, hit.lineIndex);
+  return testFailure ? { ...hit, testFailure } : hit;
+}
+
+// Test-runner hits are keyed per test (suite + test name) so that unrelated
+// tests in one file get separate patterns and one test failing with different
+// messages stays a single pattern. Everything else is keyed by its line.
+function hitSignature(hit) {
+  if (hit.testFailure) {
+    const { suite, test } = hit.testFailure;
+    return `${hit.rule}: ${normalize([suite, test].filter(Boolean).join(" › "))}`;
+  }
+  return `${hit.rule}: ${normalize(hit.line)}`;
+}
+
+function genericFallback(lines, ctx) {
+  const idx = lines.findIndex(isGenericErrorLine);
+  if (idx === -1) return null;
+  return makeHit(lines, ctx, "Generic", idx, GENERIC_SPECIFICITY);
+}
+
+function pickFirstMeaningfulError(lines, customRules = [], { stepStarts } = {}) {
+  const { candidates, ctx } = scoreCandidates(lines, customRules, { stepStarts });
+
+  let best = null;
+  for (const c of candidates) {
+    if (!best || outranks(c, best)) best = c;
+  }
+
+  if (!best) return genericFallback(lines, ctx);
+  return withTestFailure(lines, best);
+}
+
+// Multi-hit mode: every candidate is kept, deduplicated by its normalized
+// signature. The generic fallback only kicks in when no rule matched anywhere,
+// same as the single-hit path. `priority: high` hits are taken first so
+// `maxHits` can't cut them, then put back in log order.
+function collectMeaningfulErrors(lines, customRules = [], { maxHits = 10, seen = new Set(), stepStarts } = {}) {
+  const { candidates, ctx } = scoreCandidates(lines, customRules, { stepStarts });
+  const hits = [];
+
+  for (const c of [...candidates.filter((c) => c.override), ...candidates.filter((c) => !c.override)]) {
+    if (hits.length >= maxHits) break;
+    const hit = withTestFailure(lines, c);
+    const signature = hitSignature(hit);
+    if (seen.has(signature)) continue;
+    seen.add(signature);
+    hits.push({ ...hit, signature });
+  }
+  hits.sort((a, b) => a.lineIndex - b.lineIndex);
+
+  if (hits.length > 0 || candidates.length > 0) return hits;
+
+  const fallback = genericFallback(lines, ctx);
+  if (!fallback) return [];
+
+  const signature = hitSignature(fallback);
+  if (seen.has(signature)) return [];
+  seen.add(signature);
+  return [{ ...fallback, signature }];
+}
+
+const HINTS = {
+  ESLint: [
+    "Run the linter locally and apply the suggested fix (often `npm run lint -- --fix` depending on your script).",
+    "If it's intentional, adjust the specific rule or add a targeted disable (avoid global ignores)."
+  ],
+  TypeScript: [
+    "Open the referenced file/line and fix the type mismatch; TS errors often cascade, so start with the first one.",
+    "If it's dependency types, check lockfile drift and TypeScript version compatibility."
+  ],
+  npm: [
+    "Scroll up to the first `npm ERR!` / pnpm error line; the last lines are usually summaries.",
+    "If it's install-related, verify Node version, lockfile, and registry/auth."
+  ],
+  "Jest/Vitest": [
+    "Run the failing test locally; focus on the first failing assertion and any snapshot mismatch.",
+    "If flaky, check timers, async cleanup, and shared state."
+  ],
+  Build: [
+    "Look for the first bundler error (missing import, invalid config, env mismatch).",
+    "If it's environment-only, compare Node version and build-time env vars."
+  ],
+  Docker: [
+    "The first failing build step is the real cause; missing files and auth issues are common.",
+    "Verify build context paths and base image tag availability."
+  ],
+  pytest: [
+    "Run the failing test locally with `pytest -x` to stop at the first failure.",
+    "Check for fixture issues, missing mocks, or environment-dependent tests."
+  ],
+  mypy: [
+    "Fix the type annotation at the referenced file/line; mypy errors often cascade from a single root cause.",
+    "If it's a third-party library, check for missing type stubs (`types-*` packages)."
+  ],
+  "ruff/flake8": [
+    "Run `ruff check --fix` or `flake8` locally to see and auto-fix lint issues.",
+    "If the rule is intentionally violated, add a `# noqa: <code>` comment on the specific line."
+  ],
+  pip: [
+    "Check Python version compatibility and that all dependencies are available.",
+    "If it's a build dependency, ensure system packages (e.g., `libffi-dev`) are installed."
+  ],
+  Go: [
+    "Run `go test ./...` locally to reproduce the failure.",
+    "For build errors, check `go.mod` / `go.sum` and run `go mod tidy`."
+  ],
+  Java: [
+    "Check the referenced file/line for the compilation error; fix type mismatches or missing imports.",
+    "Verify Java version compatibility between source and CI environment."
+  ],
+  Maven: [
+    "Run `mvn clean install` locally to reproduce; check dependency resolution and plugin versions.",
+    "If it's a dependency issue, run `mvn dependency:tree` to identify conflicts."
+  ],
+  Gradle: [
+    "Run the failing task locally with `--stacktrace` for details.",
+    "Check Gradle wrapper version and dependency resolution in `build.gradle`."
+  ],
+  JUnit: [
+    "Run the failing test class locally; focus on the first assertion failure.",
+    "Check for test order dependencies and shared state between tests."
+  ],
+  "Test report": [
+    "Run the named test case locally; the assertion message and stack trace come straight from the test report.",
+    "If it only fails in CI, compare environment variables, timezones and test ordering."
+  ],
+  Node: [
+    "Find the first stack trace frame pointing to your code; earlier frames are often library internals.",
+    "If it's an unhandled promise, ensure awaits/returns are correct and add proper error handling."
+  ],
+  Cancelled: [
+    "The job was cancelled, usually by `fail-fast` after another job failed or by hand; look at the job that failed first.",
+    "If nothing else failed, check for a `concurrency` group cancelling in-progress runs."
+  ],
+  Annotation: [
+    "The failing tool reported this error itself; open the annotated file and line, or the step that emitted it.",
+    "Problem matchers and `::error` commands point at the source; fix the first one and re-run."
+  ],
+  Generic: [
+    "Start from the first error-looking line; later failures are often symptoms.",
+    "If logs are huge, split steps or fail fast to reduce noise."
+  ]
+};
+
+function hintFor(ruleName, customRules = [], line = "") {
+  const custom = customRules.find((r) => r.name === ruleName);
+  if (custom && custom.hint) return [renderHintTemplate(custom.hint, custom.re, line), ""];
+
+  return HINTS[ruleName] || HINTS.Generic;
 }
 
 // -------------------- Deploy risk --------------------
@@ -252,14 +793,23 @@ const DEPLOY_RISK = {
   TypeScript: "medium",
   "Jest/Vitest": "medium",
   JUnit: "medium",
+  "Test report": "medium",
   pytest: "medium",
   Go: "medium",
   Java: "medium",
   Node: "medium",
   ESLint: "low",
+  Runner: "low",
+  Timeout: "low",
+  Cancelled: "low",
+  "Out of memory": "low",
+  "Disk space": "low",
+  Registry: "low",
+  Network: "low",
   "ruff/flake8": "low",
   mypy: "low",
   pip: "medium",
+  Annotation: "medium",
   Generic: "medium"
 };
 
@@ -267,31 +817,124 @@ function getDeployRisk(ruleName) {
   return DEPLOY_RISK[ruleName] || "medium";
 }
 
+// -------------------- Overrides --------------------
+
+// Applies repository-level overrides (from the config file) to the built-in
+// hint, runbook slug and deploy-risk tables. Hints may be a single string or
+// a [primary, secondary] pair.
+function applyRuleOverrides({ hints = {}, runbookSlugs = {}, deployRisk = {} } = {}) {
+  for (const [name, v] of Object.entries(hints)) {
+    HINTS[name] = Array.isArray(v) ? [v[0], v[1] || ""] : [v, ""];
+  }
+  Object.assign(RUNBOOK_SLUGS, runbookSlugs);
+  Object.assign(DEPLOY_RISK, deployRisk);
+}
+
 // -------------------- Flaky detection --------------------
 
-async function detectFlaky(octokit, { owner, repo, workflowId, jobName, lookback }) {
-  const params = { owner, repo, per_page: lookback, status: "completed" };
-  if (workflowId) params.workflow_id = workflowId;
+// Jobs per run (all attempts), shared across detectFlaky calls for the jobs
+// of one analysis so each run is fetched once.
+async function listRunJobsCached(octokit, cache, { owner, repo, runId }) {
+  if (!cache.has(runId)) {
+    cache.set(runId, octokit.rest.actions.listJobsForWorkflowRun({
+      owner, repo, run_id: runId, filter: "all", per_page: 100
+    }).then((r) => r.data.jobs));
+  }
+  return cache.get(runId);
+}
 
-  const runs = await octokit.rest.actions.listWorkflowRunsForRepo(params);
+function jobOutcome(conclusion) {
+  if (conclusion === "success") return "pass";
+  if (conclusion === "failure" || conclusion === "timed_out") return "fail";
+  return null;
+}
 
-  let passes = 0;
-  let failures = 0;
+// Flakiness is judged on runs of the same workflow only:
+//   1. the same commit across run attempts and re-runs — a pass and a fail on an
+//      identical SHA is the strongest signal;
+//   2. recent history on the same branch and the default branch — a high rate
+//      of pass/fail flips means flaky, a steady streak of failures means broken.
+// `rate` is the share of consecutive outcomes that flip (0 = stable, 1 = alternating).
+async function detectFlaky(octokit, {
+  owner, repo, workflowId, branch, defaultBranch, headSha, runId, jobName, lookback, cache = new Map()
+}) {
+  const evidence = [];
 
-  for (const run of runs.data.workflow_runs.slice(0, lookback)) {
-    const jobsResp = await octokit.rest.actions.listJobsForWorkflowRun({
-      owner, repo, run_id: run.id, per_page: 100
+  // 1. Same commit, every attempt
+  let sameShaMixed = false;
+  if (headSha && workflowId) {
+    const sameSha = await octokit.rest.actions.listWorkflowRuns({
+      owner, repo, workflow_id: workflowId, head_sha: headSha, per_page: 10
     });
+    const runIds = new Set([runId, ...sameSha.data.workflow_runs.map((r) => r.id)].filter(Boolean));
+
+    const outcomes = [];
+    for (const id of runIds) {
+      const jobs = await listRunJobsCached(octokit, cache, { owner, repo, runId: id });
+      for (const j of jobs.filter((j) => j.name === jobName)) {
+        const outcome = jobOutcome(j.conclusion);
+        if (outcome) outcomes.push({ outcome, url: j.html_url, attempt: j.run_attempt || 1, runId: id });
+      }
+    }
+
+    sameShaMixed = outcomes.some((o) => o.outcome === "pass") && outcomes.some((o) => o.outcome === "fail");
+    if (sameShaMixed) {
+      for (const o of outcomes) {
+        evidence.push({
+          url: o.url, conclusion: o.outcome, sha: headSha, attempt: o.attempt,
+          reason: o.outcome === "pass" ? "passed on the same commit" : "failed on the same commit"
+        });
+      }
+    }
+  }
+
+  // 2. Branch and default-branch history
+  const branches = [...new Set([branch, defaultBranch].filter(Boolean))];
+  const history = [];
+  const seenRuns = new Set();
+
+  for (const b of branches) {
+    const params = { owner, repo, branch: b, status: "completed", per_page: lookback };
+    const runs = workflowId
+      ? await octokit.rest.actions.listWorkflowRuns({ ...params, workflow_id: workflowId })
+      : await octokit.rest.actions.listWorkflowRunsForRepo(params);
+
+    for (const run of runs.data.workflow_runs.slice(0, lookback)) {
+      if (seenRuns.has(run.id) || run.head_sha === headSha) continue;
+      seenRuns.add(run.id);
+
+      const jobs = await listRunJobsCached(octokit, cache, { owner, repo, runId: run.id });
+      const latest = jobs
+        .filter((j) => j.name === jobName)
+        .sort((x, y) => (y.run_attempt || 1) - (x.run_attempt || 1))[0];
+      const outcome = latest && jobOutcome(latest.conclusion);
+      if (!outcome) continue;
 
-    const matchingJob = jobsResp.data.jobs.find((j) => j.name === jobName);
-    if (!matchingJob) continue;
+      history.push({ outcome, url: run.html_url, sha: run.head_sha, branch: b, at: run.created_at });
+    }
+  }
+
+  history.sort((x, y) => new Date(x.at) - new Date(y.at));
 
-    if (matchingJob.conclusion === "success") passes++;
-    else if (matchingJob.conclusion === "failure") failures++;
+  let flips = 0;
+  for (let i = 1; i < history.length; i++) {
+    if (history[i].outcome !== history[i - 1].outcome) {
+      flips++;
+      if (evidence.length < 5) {
+        evidence.push({
+          url: history[i].url, conclusion: history[i].outcome, sha: history[i].sha, branch: history[i].branch,
+          reason: history[i].outcome === "pass" ? "passed after a failure" : "failed after a pass"
+        });
+      }
+    }
   }
 
-  const isFlaky = passes >= 2 && failures >= 2;
-  return { isFlaky, passes, failures, total: passes + failures };
+  const passes = history.filter((h) => h.outcome === "pass").length;
+  const failures = history.length - passes;
+  const rate = history.length > 1 ? Math.round((flips / (history.length - 1)) * 100) / 100 : 0;
+  const isFlaky = sameShaMixed || (flips >= 2 && rate >= 0.25);
+
+  return { isFlaky, rate, sameShaMixed, passes, failures, total: history.length, evidence: evidence.slice(0, 8) };
 }
 
 // -------------------- Reviewer suggestions --------------------
@@ -340,34 +983,6 @@ async function suggestReviewersForFiles(octokit, { owner, repo, filePaths, prAut
 
 // -------------------- Time-to-fix --------------------
 
-async function computeTimeToFix(octokit, { owner, repo, label }) {
-  const q = `repo:${owner}/${repo} is:issue is:closed label:${label}`;
-  const result = await octokit.rest.search.issuesAndPullRequests({ q, per_page: 50 });
-
-  const fixTimes = {};
-
-  for (const item of result.data.items) {
-    const closedAt = new Date(item.closed_at);
-    const typeMatch = item.title.match(/\]\s*(\w[\w/]*?):/);
-    const errorType = typeMatch ? typeMatch[1] : "Generic";
-    const createdAt = new Date(item.created_at);
-    const hours = Math.round((closedAt - createdAt) / 3600000);
-    if (!fixTimes[errorType]) fixTimes[errorType] = [];
-    fixTimes[errorType].push(hours);
-  }
-
-  const medians = {};
-  for (const [type, times] of Object.entries(fixTimes)) {
-    times.sort((a, b) => a - b);
-    const mid = Math.floor(times.length / 2);
-    medians[type] = times.length % 2 === 0
-      ? Math.round((times[mid - 1] + times[mid]) / 2)
-      : times[mid];
-  }
-
-  return medians;
-}
-
 function formatFixTime(hours) {
   if (hours < 1) return "<1h";
   if (hours < 24) return `${hours}h`;
@@ -377,35 +992,108 @@ function formatFixTime(hours) {
 
 // -------------------- Error finding in text --------------------
 
-function findFirstErrorInText({ text, fileName, customRules }) {
+// `stepName` comes from per-step log entries; without it the step is guessed
+// from ##[group] lines.
+function findFirstErrorInText({ text, fileName, customRules, stepName = "" }) {
   const lines = text.split(/\r?\n/);
   const stepStarts = buildStepIndex(lines);
-  const hit = pickFirstMeaningfulError(lines, customRules);
+  const hit = pickFirstMeaningfulError(lines, customRules, { stepStarts });
   if (!hit) return null;
 
-  const stepName = findStepForLineIndex(stepStarts, hit.lineIndex);
-  return { ...hit, stepName, fileName };
+  return { ...hit, stepName: stepName || findStepForLineIndex(stepStarts, hit.lineIndex), fileName };
 }
 
+// Picks the highest-scoring hit across all log files rather than the first
+// file that matches anything. Logs of steps known to have failed are
+// searched first; the others only when those have nothing.
 function findFirstErrorAcrossTexts(textFiles, customRules) {
-  for (const f of textFiles) {
-    const hit = findFirstErrorInText({ text: f.text, fileName: f.name, customRules });
-    if (hit) return hit;
+  const failed = textFiles.filter((f) => f.failed);
+  for (const files of failed.length > 0 ? [failed, textFiles] : [textFiles]) {
+    let best = null;
+    for (const f of files) {
+      const hit = findFirstErrorInText({ text: f.text, fileName: f.name, customRules, stepName: f.stepName });
+      if (hit && (!best || outranks(hit, best))) best = hit;
+    }
+    if (best) return best;
   }
   return null;
 }
 
+function findAllErrorsInText({ text, fileName, customRules, maxHits, seen, stepName = "" }) {
+  const lines = text.split(/\r?\n/);
+  const stepStarts = buildStepIndex(lines);
+  const hits = collectMeaningfulErrors(lines, customRules, { maxHits, seen, stepStarts });
+
+  return hits.map((hit) => ({
+    ...hit,
+    stepName: stepName || findStepForLineIndex(stepStarts, hit.lineIndex),
+    fileName
+  }));
+}
+
+// Returns distinct hits across all log files, grouped by step in order of
+// first appearance. Signatures are shared across files so the same error
+// repeated in a per-step log and the combined log is reported once. Failed
+// steps are searched first so setup noise can't use up `maxHits`.
+function findAllErrorsAcrossTexts(textFiles, customRules, { maxHits = 10 } = {}) {
+  const seen = new Set();
+  const hits = [];
+
+  for (const f of [...textFiles.filter((t) => t.failed), ...textFiles.filter((t) => !t.failed)]) {
+    if (hits.length >= maxHits) break;
+    hits.push(...findAllErrorsInText({
+      text: f.text, fileName: f.name, customRules, maxHits: maxHits - hits.length, seen, stepName: f.stepName
+    }));
+  }
+
+  const position = new Map(textFiles.map((f, i) => [f.name, i]));
+  hits.sort((a, b) => position.get(a.fileName) - position.get(b.fileName));
+  return groupHitsByStep(hits);
+}
+
+function groupHitsByStep(hits) {
+  const order = [];
+  const byStep = new Map();
+  for (const hit of hits) {
+    if (!byStep.has(hit.stepName)) {
+      byStep.set(hit.stepName, []);
+      order.push(hit.stepName);
+    }
+    byStep.get(hit.stepName).push(hit);
+  }
+  return order.flatMap((name) => byStep.get(name));
+}
+
 export {
   RUNBOOK_SLUGS,
+  validateCustomRule,
   parseCustomRules,
+  applyCustomRuleOverrides,
   pickFirstMeaningfulError,
+  collectMeaningfulErrors,
+  hitSignature,
+  scoreCandidates,
+  outranks,
+  confidenceLevel,
   hintFor,
   getDeployRisk,
+  applyRuleOverrides,
+  enableRulePacks,
+  classifyCategory,
+  classifyJobVerdict,
+  classifyRunVerdict,
+  listRunJobsCached,
   detectFlaky,
   extractFilePaths,
   suggestReviewersForFiles,
-  computeTimeToFix,
   formatFixTime,
   findFirstErrorInText,
-  findFirstErrorAcrossTexts
+  findFirstErrorAcrossTexts,
+  findAllErrorsInText,
+  findAllErrorsAcrossTexts,
+  groupHitsByStep,
+  parseWorkflowAnnotation,
+  listJobAnnotations,
+  jobAnnotationsToHits,
+  mergeJobAnnotationHits
 };
@@ -0,0 +1,154 @@
+import AdmZip from "adm-zip";
+import { XMLParser } from "fast-xml-parser";
+
+import { bufferFromOctokitData } from "./log-downloader.js";
+
+const ARRAY_TAGS = new Set(["testsuite", "testcase", "failure", "error"]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  textNodeName: "#text",
+  parseAttributeValue: false,
+  isArray: (name) => ARRAY_TAGS.has(name)
+});
+
+// -------------------- XML parsing --------------------
+
+function textOf(node) {
+  if (node == null) return "";
+  if (typeof node === "string") return node;
+  return String(node["#text"] ?? "");
+}
+
+function collectCases(suite, parentName, out) {
+  const suiteName = suite.name || parentName || "";
+
+  for (const tc of suite.testcase || []) {
+    const problems = [
+      ...(tc.failure || []).map((f) => ({ kind: "failure", node: f })),
+      ...(tc.error || []).map((f) => ({ kind: "error", node: f }))
+    ];
+    if (problems.length === 0) continue;
+
+    const { kind, node } = problems[0];
+    const details = textOf(node).trim();
+    const message = (typeof node === "object" && node.message) || details.split(/\r?\n/)[0] || "";
+
+    out.push({
+      suite: suiteName,
+      classname: tc.classname || "",
+      name: tc.name || "",
+      file: tc.file || suite.file || "",
+      kind,
+      type: (typeof node === "object" && node.type) || "",
+      message: String(message).trim(),
+      details
+    });
+  }
+
+  for (const child of suite.testsuite || []) {
+    collectCases(child, suiteName, out);
+  }
+}
+
+// Returns failing/erroring test cases from a JUnit-style XML report. Anything
+// that isn't a <testsuites>/<testsuite> document yields an empty list.
+function parseJUnitXml(xml) {
+  let doc;
+  try {
+    doc = parser.parse(xml);
+  } catch {
+    return [];
+  }
+
+  const roots = doc.testsuites
+    ? [].concat(doc.testsuites).flatMap((s) => s.testsuite || [])
+    : doc.testsuite || [];
+
+  const out = [];
+  for (const suite of roots) collectCases(suite, "", out);
+  return out;
+}
+
+// -------------------- Artifact download --------------------
+
+async function findJUnitReports(octokit, { owner, repo, runId, namePattern, maxArtifacts = 10, maxBytes = 20 * 1024 * 1024 }) {
+  const resp = await octokit.rest.actions.listWorkflowRunArtifacts({
+    owner, repo, run_id: runId, per_page: 100
+  });
+
+  const nameRe = namePattern ? new RegExp(namePattern, "i") : null;
+  const artifacts = resp.data.artifacts
+    .filter((a) => !a.expired)
+    .filter((a) => !nameRe || nameRe.test(a.name))
+    .slice(0, maxArtifacts);
+
+  const reports = [];
+  let used = 0;
+
+  for (const artifact of artifacts) {
+    if (used + artifact.size_in_bytes > maxBytes) continue;
+    used += artifact.size_in_bytes;
+
+    const dl = await octokit.rest.actions.downloadArtifact({
+      owner, repo, artifact_id: artifact.id, archive_format: "zip"
+    });
+
+    const zip = new AdmZip(bufferFromOctokitData(dl.data));
+    for (const e of zip.getEntries()) {
+      if (e.isDirectory || !e.entryName.toLowerCase().endsWith(".xml")) continue;
+
+      const xml = e.getData().toString("utf8");
+      if (!/<testsuites?\b/.test(xml)) continue;
+
+      for (const tc of parseJUnitXml(xml)) {
+        reports.push({ ...tc, artifact: artifact.name, reportFile: e.entryName });
+      }
+    }
+  }
+
+  return reports;
+}
+
+// -------------------- Hits --------------------
+
+// Test-report hits use the same shape as log-derived hits so they flow through
+// the same summary, comment, JSON and tracking paths. The data is exact, so
+// confidence is always high.
+function testCaseToHit(tc) {
+  const testId = [tc.classname, tc.name].filter(Boolean).join(" › ") || tc.suite;
+  const line = `${testId}: ${tc.message || tc.type || tc.kind}`;
+  const detailLines = tc.details ? tc.details.split(/\r?\n/) : [];
+
+  return {
+    rule: "Test report",
+    line,
+    excerpt: [line, ...detailLines].slice(0, 14),
+    lineIndex: 0,
+    score: 1,
+    confidence: "high",
+    stepName: `Artifact ${tc.artifact}`,
+    fileName: `${tc.artifact}/${tc.reportFile}`,
+    testFailure: {
+      suite: tc.classname || tc.suite,
+      test: tc.name,
+      message: tc.message
+    },
+    testCase: {
+      suite: tc.suite,
+      classname: tc.classname,
+      name: tc.name,
+      file: tc.file,
+      kind: tc.kind,
+      type: tc.type,
+      message: tc.message
+    }
+  };
+}
+
+export {
+  parseJUnitXml,
+  findJUnitReports,
+  testCaseToHit
+};
@@ -0,0 +1,57 @@
+import fs from "fs";
+import path from "path";
+
+import { extractTextFilesFromZip, parseStepEntryName, compareEntries } from "./log-downloader.js";
+
+const TEXT_EXTENSIONS = [".log", ".txt"];
+
+function readTextFile(filePath) {
+  let text = fs.readFileSync(filePath, "utf8");
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+  return text;
+}
+
+function listLogFiles(dir) {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      out.push(...listLogFiles(full));
+    } else if (TEXT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      out.push(full);
+    }
+  }
+  return out.sort();
+}
+
+// Loads a local .log/.txt file, a directory of them, or a downloaded GitHub
+// logs zip into the same [{ name, text }] shape the Action uses.
+function loadLogsFromPath(inputPath) {
+  const stat = fs.statSync(inputPath);
+
+  // An unpacked logs zip keeps its per-step file names
+  if (stat.isDirectory()) {
+    return listLogFiles(inputPath)
+      .map((f, order) => {
+        const name = path.relative(inputPath, f).split(path.sep).join("/");
+        const text = readTextFile(f);
+        return { name, text, step: parseStepEntryName(name), order };
+      })
+      .sort(compareEntries)
+      .map(({ name, text, step }) => (step
+        ? { name, text, stepName: step.name, stepNumber: step.number, failed: text.includes("##[error]") }
+        : { name, text }));
+  }
+
+  const buf = fs.readFileSync(inputPath);
+  const isZip = buf.length >= 2 && buf[0] === 0x50 && buf[1] === 0x4b;
+  if (isZip) return extractTextFilesFromZip(buf);
+
+  let text = buf.toString("utf8");
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+  return [{ name: path.basename(inputPath), text }];
+}
+
+export {
+  loadLogsFromPath
+};
@@ -41,38 +41,125 @@ async function downloadJobLogs({ octokit, owner, repo, jobId }) {
   return classifyLogsPayload(buf, ct);
 }
 
-function extractTextFilesFromZip(zipBuf, { maxFiles = 80, maxTotalBytes = 12 * 1024 * 1024 } = {}) {
+// GitHub names per-step entries "<job>/<number>_<step name>.txt"; the
+// top-level "<number>_<job>.txt" entries hold the whole job log again.
+const STEP_ENTRY = /^(.+)\/(\d+)_([^/]+)\.txt$/;
+
+function parseStepEntryName(entryName) {
+  const m = STEP_ENTRY.exec(entryName || "");
+  return m ? { job: m[1], number: Number(m[2]), name: m[3].trim() } : null;
+}
+
+// Step entries in job and step order, then everything else in archive order
+function compareEntries(a, b) {
+  if (!a.step || !b.step) return (a.step ? 0 : 1) - (b.step ? 0 : 1) || a.order - b.order;
+  return a.step.job.localeCompare(b.step.job) || a.step.number - b.step.number;
+}
+
+function decodeText(buf) {
+  let text = buf.toString("utf8");
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+  return text;
+}
+
+// Keeps the last `maxBytes` of a log, starting at a line boundary: the error
+// that ended a step is at the end, not the beginning.
+function tailText(buf, maxBytes) {
+  const text = decodeText(buf.subarray(buf.length - maxBytes));
+  const nl = text.indexOf("\n");
+  return nl === -1 ? text : text.slice(nl + 1);
+}
+
+// Runner bookkeeping steps around the ones the workflow defines.
+const BOOKKEEPING_STEP = /^(Set up job|Complete job|Post .+)$/i;
+
+// Step numbers only mean something inside the job's own folder. Folder names
+// are the job name with characters that can't appear in a path dropped.
+function jobFolderFor(steps, jobName) {
+  const folders = [...new Set(steps.map((s) => s.job))];
+  if (folders.length === 1) return folders[0];
+  const clean = (s) => String(s || "").replace(/[\\/:*?"<>|]/g, "").trim();
+  return folders.find((f) => clean(f) === clean(jobName)) || null;
+}
+
+// Without the job's step list the failed step is guessed from the entry
+// names alone: a failing step ends the job, so it is the last step of each
+// job folder that isn't runner bookkeeping. Guessing reads nothing, so large
+// zips aren't inflated just to rank them.
+function lastWorkflowSteps(steps) {
+  const last = new Map();
+  for (const s of steps) {
+    if (BOOKKEEPING_STEP.test(s.name)) continue;
+    if (!last.has(s.job) || s.number > last.get(s.job).number) last.set(s.job, s);
+  }
+  return new Set(last.values());
+}
+
+// Reads the failed steps first, then the remaining steps from last to first,
+// then whole-job logs, until the byte budget runs out. A log that doesn't fit
+// is read from its tail. Failed steps come from `failedSteps` (step numbers of
+// `jobName`); without them, the last workflow step is read first and a step
+// counts as failed when its log has "##[error]". Files come back in step
+// order, with step entries carrying `stepName`, `stepNumber` and `failed`.
+function extractTextFilesFromZip(zipBuf, {
+  maxFiles = 80, maxTotalBytes = 12 * 1024 * 1024, minTailBytes = 64 * 1024, failedSteps = [], jobName = ""
+} = {}) {
   const zip = new AdmZip(zipBuf);
-  const entries = zip.getEntries();
 
-  const candidates = entries
+  const candidates = zip.getEntries()
     .filter((e) => !e.isDirectory)
     .filter((e) => {
       const n = (e.entryName || "").toLowerCase();
       return n.endsWith(".txt") || n.endsWith(".log") || n.includes("log");
     })
-    .slice(0, maxFiles);
+    .filter((e) => e.header.size > 0)
+    .map((e, order) => ({ entry: e, size: e.header.size, step: parseStepEntryName(e.entryName), order }));
+
+  const steps = candidates.map((c) => c.step).filter(Boolean);
+  const folder = failedSteps.length > 0 ? jobFolderFor(steps, jobName) : null;
+  const guessed = folder === null ? lastWorkflowSteps(steps) : new Set();
+  for (const c of candidates) {
+    c.failed = Boolean(c.step) && (folder !== null
+      ? c.step.job === folder && failedSteps.includes(c.step.number)
+      : guessed.has(c.step));
+  }
+
+  const priority = (c) => (c.failed ? 0 : c.step ? 1 : 2);
+  const byPriority = [...candidates].sort((a, b) =>
+    priority(a) - priority(b) || (b.step?.number ?? 0) - (a.step?.number ?? 0) || a.order - b.order
+  );
 
-  const out = [];
+  const picked = [];
   let used = 0;
 
-  for (const e of candidates) {
-    const buf = e.getData();
-    if (!buf || buf.length === 0) continue;
-    if (used + buf.length > maxTotalBytes) break;
-    used += buf.length;
+  for (const c of byPriority.slice(0, maxFiles)) {
+    const left = maxTotalBytes - used;
+    if (left < Math.min(minTailBytes, c.size)) break;
 
-    let text = buf.toString("utf8");
-    if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
-    out.push({ name: e.entryName, text });
+    const buf = c.entry.getData();
+    const fits = buf.length <= left;
+    used += fits ? buf.length : left;
+    const text = fits ? decodeText(buf) : tailText(buf, left);
+    const failed = folder !== null ? c.failed : text.includes("##[error]");
+    picked.push({
+      c,
+      file: {
+        name: c.entry.entryName,
+        text,
+        ...(fits ? {} : { truncated: true }),
+        ...(c.step ? { stepName: c.step.name, stepNumber: c.step.number, failed } : {})
+      }
+    });
   }
 
-  return out;
+  return picked.sort((a, b) => compareEntries(a.c, b.c)).map((p) => p.file);
 }
 
 export {
   bufferFromOctokitData,
   classifyLogsPayload,
   downloadJobLogs,
+  parseStepEntryName,
+  compareEntries,
   extractTextFilesFromZip
 };
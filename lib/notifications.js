@@ -0,0 +1,165 @@
+const NOTIFICATION_EVENTS = ["created", "reopened", "threshold", "escalated"];
+const WEBHOOK_FORMATS = ["generic", "slack", "teams"];
+
+const MAX_ATTEMPTS = 3;
+const BASE_DELAY_MS = 1000;
+const TIMEOUT_MS = 10000;
+
+const SEVERITY_LEVELS = ["low", "medium", "high"];
+
+// -------------------- Events --------------------
+
+// Which notification events a pattern upsert result triggers. A pattern
+// without a known previous severity (missing or "unknown") is treated as new:
+// there is nothing it escalated from.
+function eventsForResult(res) {
+  const events = [];
+  if (res.kind === "created") events.push("created");
+  if (res.kind === "reopened") events.push("reopened");
+  if (res.thresholdReached) events.push("threshold");
+  const escalatable = SEVERITY_LEVELS.includes(res.previousSeverity) && res.previousSeverity !== "high";
+  if (res.kind !== "created" && res.severity === "high" && escalatable) {
+    events.push("escalated");
+  }
+  return events;
+}
+
+function parseEvents(raw) {
+  const list = String(raw || "").split(",").map((s) => s.trim()).filter(Boolean);
+  if (list.length === 0 || list.includes("all")) return [...NOTIFICATION_EVENTS];
+  const unknown = list.filter((e) => !NOTIFICATION_EVENTS.includes(e));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown webhook event(s) ${unknown.join(", ")} (expected ${NOTIFICATION_EVENTS.join(", ")} or all)`);
+  }
+  return list;
+}
+
+function titleFor(event, ctx) {
+  switch (event) {
+    case "created": return `New CI failure pattern (${ctx.rule}, ${ctx.severity} severity)`;
+    case "reopened": return `Closed CI failure pattern recurred (${ctx.rule})`;
+    case "threshold": return `CI failure pattern reached ${ctx.occurrences} occurrences (${ctx.rule})`;
+    case "escalated": return `CI failure pattern escalated to high severity (${ctx.rule})`;
+    default: return `CI failure pattern ${event}`;
+  }
+}
+
+// -------------------- Payloads --------------------
+
+function slackPayload(ctx) {
+  const links = [`<${ctx.patternUrl}|Pattern>`, `<${ctx.runUrl}|Run>`].join(" · ");
+  return {
+    text: `${ctx.title}: ${ctx.signature}`,
+    blocks: [
+      { type: "section", text: { type: "mrkdwn", text: `*${ctx.title}*\n\`\`\`${ctx.signature}\`\`\`` } },
+      { type: "context", elements: [{ type: "mrkdwn", text: `${ctx.repo} · ${ctx.job} · ${links}` }] }
+    ]
+  };
+}
+
+function teamsPayload(ctx) {
+  return {
+    type: "message",
+    attachments: [{
+      contentType: "application/vnd.microsoft.card.adaptive",
+      content: {
+        $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+        type: "AdaptiveCard",
+        version: "1.4",
+        body: [
+          { type: "TextBlock", text: ctx.title, weight: "Bolder", wrap: true },
+          { type: "TextBlock", text: ctx.signature, fontType: "Monospace", wrap: true },
+          {
+            type: "FactSet",
+            facts: [
+              { title: "Repository", value: ctx.repo },
+              { title: "Job", value: ctx.job },
+              { title: "Occurrences", value: String(ctx.occurrences) }
+            ]
+          }
+        ],
+        actions: [
+          { type: "Action.OpenUrl", title: "Open pattern", url: ctx.patternUrl },
+          { type: "Action.OpenUrl", title: "Open run", url: ctx.runUrl }
+        ]
+      }
+    }]
+  };
+}
+
+function genericPayload(ctx) {
+  return {
+    event: ctx.event,
+    title: ctx.title,
+    pattern: {
+      hash: ctx.hash, signature: ctx.signature, rule: ctx.rule, severity: ctx.severity,
+      occurrences: ctx.occurrences, url: ctx.patternUrl
+    },
+    run: { url: ctx.runUrl, repo: ctx.repo, job: ctx.job }
+  };
+}
+
+// Templates are JSON with {{name}} placeholders. Values are JSON-string
+// escaped, so placeholders belong inside quotes.
+function renderTemplate(template, ctx) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, name) =>
+    name in ctx ? JSON.stringify(String(ctx[name] ?? "")).slice(1, -1) : m
+  );
+}
+
+function buildPayload(event, ctx, { format = "generic", template = "" } = {}) {
+  const full = { ...ctx, event, title: titleFor(event, ctx) };
+  if (template) return renderTemplate(template, full);
+  const build = { slack: slackPayload, teams: teamsPayload }[format] || genericPayload;
+  return JSON.stringify(build(full));
+}
+
+// -------------------- Delivery --------------------
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Retries network errors, 429 and 5xx with exponential backoff. Never throws.
+async function deliverWebhook(url, body, { attempts = MAX_ATTEMPTS, baseDelayMs = BASE_DELAY_MS } = {}) {
+  let last = { ok: false, status: 0, error: "" };
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      const resp = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      if (resp.ok) return { ok: true, status: resp.status, attempts: attempt };
+      last = { ok: false, status: resp.status, error: `HTTP ${resp.status}` };
+      if (resp.status !== 429 && resp.status < 500) return { ...last, attempts: attempt };
+    } catch (e) {
+      last = { ok: false, status: 0, error: e?.message || String(e) };
+    }
+    if (attempt < attempts) await sleep(baseDelayMs * 2 ** (attempt - 1));
+  }
+
+  return { ...last, attempts };
+}
+
+// Sends one notification per subscribed event for a pattern upsert result.
+async function notifyPatternEvents(webhook, res, ctx) {
+  const results = [];
+  for (const event of eventsForResult(res).filter((e) => webhook.events.includes(e))) {
+    const body = buildPayload(event, { ...ctx, severity: res.severity, occurrences: res.totalOccurrences, patternUrl: res.url }, webhook);
+    results.push({ event, ...(await deliverWebhook(webhook.url, body, webhook)) });
+  }
+  return results;
+}
+
+export {
+  NOTIFICATION_EVENTS,
+  WEBHOOK_FORMATS,
+  parseEvents,
+  eventsForResult,
+  buildPayload,
+  deliverWebhook,
+  notifyPatternEvents
+};
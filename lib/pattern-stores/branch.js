@@ -0,0 +1,96 @@
+import { formatFor, parseDocument, serializeDocument, createDocumentStore } from "./document.js";
+
+const COMMIT_MESSAGE = "Update CI failure patterns [skip ci]";
+
+function conflictError(e) {
+  const err = new Error(`pattern file changed concurrently: ${e?.message || e}`);
+  err.conflict = true;
+  return err;
+}
+
+// Keeps patterns in a single file committed to a dedicated branch, so
+// recurrence tracking works without opening an issue per pattern. The branch
+// is created as an orphan on first write.
+function createBranchStore(octokit, { owner, repo, branch, filePath }) {
+  const format = formatFor(filePath);
+  let branchExists = false;
+  let fileSha = null;
+
+  async function readFile() {
+    let resp;
+    try {
+      resp = await octokit.rest.repos.getContent({ owner, repo, path: filePath, ref: branch });
+    } catch (e) {
+      if (e?.status === 404) return "";
+      throw e;
+    }
+
+    fileSha = resp.data.sha;
+    // The contents API omits the content of files over 1 MB.
+    if (resp.data.encoding === "none" || !resp.data.content) {
+      const blob = await octokit.rest.git.getBlob({ owner, repo, file_sha: resp.data.sha });
+      return Buffer.from(blob.data.content, "base64").toString("utf8");
+    }
+    return Buffer.from(resp.data.content, "base64").toString("utf8");
+  }
+
+  async function createOrphanBranch(content) {
+    const tree = await octokit.rest.git.createTree({
+      owner, repo,
+      tree: [{ path: filePath, mode: "100644", type: "blob", content }]
+    });
+    const commit = await octokit.rest.git.createCommit({
+      owner, repo, message: COMMIT_MESSAGE, tree: tree.data.sha, parents: []
+    });
+    try {
+      await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: commit.data.sha });
+    } catch (e) {
+      if (e?.status === 422) throw conflictError(e);
+      throw e;
+    }
+  }
+
+  return createDocumentStore({
+    name: "branch",
+
+    async load() {
+      fileSha = null;
+      try {
+        await octokit.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+        branchExists = true;
+      } catch (e) {
+        if (e?.status !== 404) throw e;
+        branchExists = false;
+        return parseDocument("", format);
+      }
+      return parseDocument(await readFile(), format);
+    },
+
+    async save(doc) {
+      const content = serializeDocument(doc, format);
+      if (!branchExists) {
+        await createOrphanBranch(content);
+        return;
+      }
+
+      try {
+        await octokit.rest.repos.createOrUpdateFileContents({
+          owner, repo, branch, path: filePath, message: COMMIT_MESSAGE,
+          content: Buffer.from(content, "utf8").toString("base64"),
+          ...(fileSha ? { sha: fileSha } : {})
+        });
+      } catch (e) {
+        if (e?.status === 409 || e?.status === 422) throw conflictError(e);
+        throw e;
+      }
+    },
+
+    urlFor() {
+      return `https://github.com/${owner}/${repo}/blob/${branch}/${filePath}`;
+    }
+  });
+}
+
+export {
+  createBranchStore
+};
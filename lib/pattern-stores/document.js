@@ -0,0 +1,180 @@
+import { compactOccurrence, rollUpHistory, expandHistory } from "./occurrences.js";
+
+// Shared logic for stores that keep every pattern in a single JSON or NDJSON
+// document (a file on a branch, a local file). Changes are recorded as
+// operations and written once by flush(); if the document changed underneath
+// us, the operations are replayed on the fresh copy.
+
+const MAX_FLUSH_ATTEMPTS = 3;
+const MAX_DETAILED_OCCURRENCES = 500;
+
+// -------------------- Serialization --------------------
+
+function formatFor(filePath) {
+  return /\.(ndjson|jsonl)$/i.test(filePath) ? "ndjson" : "json";
+}
+
+function parseDocument(text, format) {
+  if (!text || !text.trim()) return { version: 1, patterns: [] };
+
+  if (format === "ndjson") {
+    const patterns = text.split(/\r?\n/).filter((l) => l.trim()).map((l) => JSON.parse(l));
+    return { version: 1, patterns };
+  }
+
+  const doc = JSON.parse(text);
+  if (!doc || !Array.isArray(doc.patterns)) {
+    throw new Error("pattern file must be a JSON object with a \"patterns\" array");
+  }
+  return doc;
+}
+
+function serializeDocument(doc, format) {
+  if (format === "ndjson") {
+    return doc.patterns.map((p) => JSON.stringify(p)).join("\n") + "\n";
+  }
+  return JSON.stringify({ version: 1, patterns: doc.patterns }, null, 2) + "\n";
+}
+
+// -------------------- Operations --------------------
+
+function applyOperation(doc, op) {
+  const existing = doc.patterns.find((p) => p.hash === op.hash);
+
+  if (op.type === "create" && !existing) {
+    doc.patterns.push(structuredClone(op.record));
+    return;
+  }
+  if (!existing) return;
+
+  if (op.type === "close") {
+    existing.state = "closed";
+    existing.closedAt = op.closedAt;
+    existing.closeNote = op.note;
+    return;
+  }
+
+  // An occurrence, or a create that lost a race to another run and becomes
+  // an occurrence on that run's record.
+  const history = rollUpHistory({
+    occurrences: [...existing.occurrences, compactOccurrence({ ...op.occurrence, muted: existing.muted })],
+    daily: existing.daily || {},
+    monthly: existing.monthly || {}
+  }, { maxDetailed: MAX_DETAILED_OCCURRENCES });
+  Object.assign(existing, history);
+  if (op.severity) existing.severity = op.severity;
+  if (op.reopen) {
+    existing.state = "open";
+    existing.closedAt = null;
+  }
+  if (op.thresholdReached) existing.thresholdReached = true;
+}
+
+// -------------------- Store --------------------
+
+function createDocumentStore({ name, load, save, urlFor }) {
+  let doc = null;
+  const pending = [];
+
+  async function current() {
+    if (!doc) doc = await load();
+    return doc;
+  }
+
+  function record(op) {
+    applyOperation(doc, op);
+    pending.push(op);
+  }
+
+  function toPattern(p) {
+    return {
+      id: p.hash,
+      issueNumber: null,
+      hash: p.hash,
+      signature: p.signature,
+      rule: p.rule,
+      state: p.state,
+      severity: p.severity || "unknown",
+      muted: Boolean(p.muted),
+      thresholdReached: Boolean(p.thresholdReached),
+      occurrences: expandHistory(p),
+      createdAt: p.createdAt,
+      closedAt: p.closedAt || null,
+      url: urlFor(p)
+    };
+  }
+
+  return {
+    name,
+    linkLabel: "Pattern record",
+
+    async find(hash) {
+      const p = (await current()).patterns.find((x) => x.hash === hash);
+      return p ? toPattern(p) : null;
+    },
+
+    async create({ hash, signature, rule, severity, occurrence }) {
+      await current();
+      const newRecord = {
+        hash, signature, rule, severity,
+        state: "open",
+        muted: false,
+        thresholdReached: false,
+        createdAt: occurrence.when,
+        closedAt: null,
+        occurrences: [compactOccurrence(occurrence)],
+        daily: {},
+        monthly: {}
+      };
+      record({ type: "create", hash, record: newRecord, occurrence });
+      return toPattern(doc.patterns.find((x) => x.hash === hash));
+    },
+
+    async addOccurrence(pattern, { occurrence, severity, reopen, thresholdReached }) {
+      await current();
+      record({ type: "occurrence", hash: pattern.hash, occurrence, severity, reopen, thresholdReached });
+    },
+
+    async list({ state = "all" } = {}) {
+      const patterns = (await current()).patterns.map(toPattern);
+      return state === "all" ? patterns : patterns.filter((p) => p.state === state);
+    },
+
+    async close(pattern, message) {
+      await current();
+      record({ type: "close", hash: pattern.hash, closedAt: new Date().toISOString(), note: message });
+    },
+
+    // Patterns are keyed by hash in one document, so there is nothing to merge.
+    async reconcile() {
+      return [];
+    },
+
+    async findFixes() {
+      return [];
+    },
+
+    async flush() {
+      if (pending.length === 0) return;
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await save(doc);
+          pending.length = 0;
+          return;
+        } catch (e) {
+          if (!e?.conflict || attempt >= MAX_FLUSH_ATTEMPTS) throw e;
+          doc = await load();
+          for (const op of pending) applyOperation(doc, op);
+        }
+      }
+    }
+  };
+}
+
+export {
+  formatFor,
+  parseDocument,
+  serializeDocument,
+  createDocumentStore
+};
@@ -0,0 +1,30 @@
+import { createIssuesStore } from "./issues.js";
+import { createBranchStore } from "./branch.js";
+import { createLocalFileStore } from "./local-file.js";
+
+const PATTERN_STORES = ["issues", "branch", "file"];
+
+// Every store exposes the same operations, so pattern tracking doesn't care
+// where state lives:
+//   find(hash), create({ hash, signature, rule, severity, occurrence }),
+//   addOccurrence(pattern, { occurrence, stats, severity, reopen, thresholdReached }),
+//   list({ state, withOccurrences }), close(pattern, message), reconcile(),
+//   findFixes(pattern), flush()
+function createPatternStore(kind, { octokit, owner, repo, label, branch, filePath }) {
+  switch (kind) {
+    case "issues":
+      return createIssuesStore(octokit, { owner, repo, label });
+    case "branch":
+      return createBranchStore(octokit, { owner, repo, branch, filePath });
+    case "file":
+      return createLocalFileStore({ filePath });
+    default:
+      throw new Error(`Unknown pattern store "${kind}" (expected one of ${PATTERN_STORES.join(", ")})`);
+  }
+}
+
+export {
+  PATTERN_STORES,
+  createPatternStore,
+  createLocalFileStore
+};
@@ -0,0 +1,391 @@
+import { computeWindowStats, emptyHistory, compactOccurrence, rollUpHistory, expandHistory } from "./occurrences.js";
+
+// Stores each pattern as a GitHub issue. The signature and a table of recent
+// occurrences are in the body for people; the full occurrence history is in a
+// hidden JSON block at the end. Severity and state are labels.
+
+const ISSUE_MARKER = "<!-- pattern-signature:v0 -->";
+const HASH_LABEL_PREFIX = "pattern:";
+const DATA_RE = /<!-- pattern-data:v1\n([\s\S]*?)\n-->/;
+
+// GitHub rejects issue bodies over 65,536 characters; leave headroom for
+// hand edits above the occurrence section.
+const BODY_LIMIT = 60000;
+const MAX_DETAILED_OCCURRENCES = 200;
+const MIN_DETAILED_OCCURRENCES = 10;
+const RECENT_ROWS = 20;
+
+// -------------------- Body parsing --------------------
+
+// Bodies written before the data block existed list one occurrence per line.
+function parseLegacyOccurrences(body) {
+  const re = /^- (\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z)(?: — (\S+))?/gm;
+  const occurrences = [];
+  let m;
+  while ((m = re.exec(body)) !== null) {
+    occurrences.push({ when: m[1], runUrl: m[2] || "" });
+  }
+  return occurrences.sort((x, y) => x.when.localeCompare(y.when));
+}
+
+function readHistory(body) {
+  const m = body.match(DATA_RE);
+  if (m) {
+    try {
+      return { ...emptyHistory(), ...JSON.parse(m[1]) };
+    } catch {
+      // fall through to the human-readable list
+    }
+  }
+  return { ...emptyHistory(), occurrences: parseLegacyOccurrences(body) };
+}
+
+function labelNames(item) {
+  return (item.labels || []).map((l) => (typeof l === "string" ? l : l.name));
+}
+
+// Every issue carries a label for its (short) hash, so it can be found with
+// the list API, which is consistent, instead of the eventually consistent
+// search index.
+function hashLabel(hash) {
+  return HASH_LABEL_PREFIX + hash.slice(0, 8);
+}
+
+// A merge closes each duplicate as not planned and removes its hash label,
+// but its title still carries the hash. Such issues are not patterns of their
+// own; legacy issues lack the label too, but were closed as completed.
+function isMergedDuplicate(item) {
+  return item.state === "closed" && item.state_reason === "not_planned"
+    && !labelNames(item).some((l) => l.startsWith(HASH_LABEL_PREFIX));
+}
+
+function hashOf(item) {
+  return labelNames(item).find((l) => l.startsWith(HASH_LABEL_PREFIX))?.slice(HASH_LABEL_PREFIX.length)
+    || item.title.match(/\[CI Pattern ([a-f0-9]+)\]/)?.[1]
+    || "";
+}
+
+function toPattern(item, body) {
+  const labels = labelNames(item);
+  const hash = hashOf(item);
+  const signature = body.match(/\*\*Signature:\*\*\n```\n([\s\S]*?)\n```/)?.[1]
+    || item.title.replace(/^\[CI Pattern [a-f0-9]+\]\s*/, "");
+  const history = readHistory(body);
+
+  return {
+    id: item.number,
+    issueNumber: item.number,
+    hash,
+    signature,
+    rule: signature.match(/^([^:\n]+):/)?.[1] || "Generic",
+    state: item.state,
+    severity: labels.find((l) => l.startsWith("severity:"))?.replace("severity:", "") || "unknown",
+    muted: labels.includes("muted"),
+    thresholdReached: labels.includes("threshold-reached"),
+    occurrences: expandHistory(history),
+    history,
+    createdAt: item.created_at,
+    closedAt: item.closed_at || null,
+    url: item.html_url,
+    body
+  };
+}
+
+// -------------------- Body rendering --------------------
+
+function cell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+}
+
+function formatOccurrenceRow(o) {
+  const notes = [];
+  if (o.muted) notes.push("muted");
+  if (o.reopened) notes.push("recurred");
+  if (o.attempt > 1) notes.push(`attempt ${o.attempt}`);
+  if (o.retried) notes.push("auto-retried");
+  if (o.variant) notes.push(`variant: \`${o.variant.slice(0, 80)}\``);
+  if (o.explainerContext) notes.push(o.explainerContext);
+
+  const run = o.runId ? `[#${o.runId}](${o.runUrl})` : o.runUrl;
+  return `| ${cell(o.when)} | ${cell(run)} | ${cell(o.job)} | ${cell(o.branch)} | ${cell(o.sha ? o.sha.slice(0, 7) : "")} | ${cell(o.sourceRepo)} | ${cell(notes.join("; "))} |`;
+}
+
+// Serialized so the block can't be ended early by "-->" inside a value.
+function renderDataBlock(history) {
+  return `<!-- pattern-data:v1\n${JSON.stringify(history).replace(/--/g, "-\\u002d")}\n-->`;
+}
+
+function renderOccurrenceSection(history, stats) {
+  const recent = history.occurrences.slice(-RECENT_ROWS).reverse();
+  const total = expandHistory(history).length;
+  const shown = recent.filter((o) => !o.muted).length;
+
+  const lines = [
+    `**Last 7d:** ${stats.last7} | **Last 14d:** ${stats.last14}`,
+    "",
+    "## Occurrences",
+    "| When | Run | Job | Branch | Commit | Source | Notes |",
+    "|------|-----|-----|--------|--------|--------|-------|",
+    ...recent.map(formatOccurrenceRow)
+  ];
+  if (total > shown) {
+    lines.push("", `_Showing the ${recent.length} most recent of ${total} occurrences. Older ones are rolled up by day and month in the data block below._`);
+  }
+  lines.push("", renderDataBlock(history), "");
+  return lines.join("\n");
+}
+
+// Everything above the generated section (marker, signature, hand-written
+// notes) is kept as is.
+function renderBody(body, history, stats) {
+  const start = body.search(/^(\*\*Last 7d:\*\*|## Occurrences)/m);
+  const head = start === -1 ? body.replace(/\s*$/, "\n\n") : body.slice(0, start);
+
+  let maxDetailed = MAX_DETAILED_OCCURRENCES;
+  let h = rollUpHistory(history, { maxDetailed });
+  let out = head + renderOccurrenceSection(h, stats);
+  while (out.length > BODY_LIMIT && maxDetailed > MIN_DETAILED_OCCURRENCES) {
+    maxDetailed = Math.max(MIN_DETAILED_OCCURRENCES, Math.floor(maxDetailed / 2));
+    h = rollUpHistory(history, { maxDetailed });
+    out = head + renderOccurrenceSection(h, stats);
+  }
+  return out;
+}
+
+// -------------------- Merging --------------------
+
+function occurrenceKey(o) {
+  return `${o.when}|${o.runUrl || ""}|${o.job || ""}`;
+}
+
+// Combines the histories of issues that track the same pattern. Occurrences
+// present in more than one (from an earlier, interrupted merge) count once.
+function mergeHistories(histories) {
+  const seen = new Map();
+  const daily = {};
+  const monthly = {};
+  for (const h of histories) {
+    for (const o of h.occurrences) seen.set(occurrenceKey(o), o);
+    for (const [k, n] of Object.entries(h.daily)) daily[k] = (daily[k] || 0) + n;
+    for (const [k, n] of Object.entries(h.monthly)) monthly[k] = (monthly[k] || 0) + n;
+  }
+  const occurrences = [...seen.values()].sort((x, y) => x.when.localeCompare(y.when));
+  return { occurrences, daily, monthly };
+}
+
+// -------------------- Labels --------------------
+
+async function applySeverityLabel(octokit, { owner, repo, issueNumber, severity }) {
+  const prefix = "severity:";
+  const targetLabel = prefix + severity;
+
+  const { data: labels } = await octokit.rest.issues.listLabelsOnIssue({
+    owner, repo, issue_number: issueNumber, per_page: 100
+  });
+
+  const stale = labels.filter(
+    (l) => l.name.startsWith(prefix) && l.name !== targetLabel
+  );
+
+  for (const l of stale) {
+    await octokit.rest.issues.removeLabel({
+      owner, repo, issue_number: issueNumber, name: l.name
+    });
+  }
+
+  const alreadyApplied = labels.some((l) => l.name === targetLabel);
+  if (!alreadyApplied) {
+    await octokit.rest.issues.addLabels({
+      owner, repo, issue_number: issueNumber, labels: [targetLabel]
+    });
+  }
+}
+
+// -------------------- Store --------------------
+
+function createIssuesStore(octokit, { owner, repo, label }) {
+  async function search(qualifiers, perPage) {
+    const q = `repo:${owner}/${repo} is:issue ${qualifiers} label:${label}`;
+    const result = await octokit.rest.search.issuesAndPullRequests({ q, per_page: perPage });
+    return result.data.items;
+  }
+
+  // Oldest first, so the first issue of a group is the canonical one.
+  async function listByLabels(labels, state = "all") {
+    const items = await octokit.paginate(octokit.rest.issues.listForRepo, {
+      owner, repo, labels: labels.join(","), state, sort: "created", direction: "asc", per_page: 100
+    });
+    return items.filter((i) => !i.pull_request);
+  }
+
+  async function load(item) {
+    const issue = await octokit.rest.issues.get({ owner, repo, issue_number: item.number });
+    return toPattern(item, issue.data.body || "");
+  }
+
+  // Moves every occurrence into the oldest issue and closes the others as
+  // duplicates, with a link each way.
+  async function mergeGroup(items) {
+    const patterns = [];
+    for (const item of items) patterns.push(await load(item));
+    const [canonical, ...duplicates] = patterns;
+
+    const history = mergeHistories([canonical, ...duplicates].map((p) => p.history));
+    const stats = computeWindowStats(expandHistory(history).map((o) => new Date(o.when)), new Date());
+    const reopen = canonical.state === "closed" && duplicates.some((d) => d.state === "open");
+
+    await octokit.rest.issues.update({
+      owner, repo, issue_number: canonical.issueNumber,
+      body: renderBody(canonical.body, history, stats),
+      ...(reopen ? { state: "open" } : {})
+    });
+
+    for (const d of duplicates) {
+      await octokit.rest.issues.createComment({
+        owner, repo, issue_number: d.issueNumber,
+        body: `Duplicate of #${canonical.issueNumber} — occurrences were merged there.`
+      });
+      await octokit.rest.issues.update({
+        owner, repo, issue_number: d.issueNumber, state: "closed", state_reason: "not_planned"
+      });
+      try {
+        await octokit.rest.issues.removeLabel({ owner, repo, issue_number: d.issueNumber, name: hashLabel(d.hash) });
+      } catch {
+        // legacy duplicates have no hash label
+      }
+    }
+
+    await octokit.rest.issues.createComment({
+      owner, repo, issue_number: canonical.issueNumber,
+      body: `Merged duplicate issue(s) ${duplicates.map((d) => `#${d.issueNumber}`).join(", ")} into this one.`
+    });
+
+    return { ...canonical, history, occurrences: expandHistory(history), state: reopen ? "open" : canonical.state };
+  }
+
+  return {
+    name: "issues",
+    linkLabel: "Tracking issue",
+
+    // Open issues win over closed ones so a reopened pattern isn't split.
+    async find(hash) {
+      let items = await listByLabels([label, hashLabel(hash)]);
+
+      // Issues created before hash labels existed can only be found by title;
+      // label the match so the next lookup doesn't need search.
+      if (items.length === 0) {
+        items = await search(`in:title "${hash.slice(0, 8)}"`, 10);
+        if (items.length > 0) {
+          await octokit.rest.issues.addLabels({
+            owner, repo, issue_number: items[0].number, labels: [hashLabel(hash)]
+          });
+        }
+      }
+
+      const item = items.find((i) => i.state === "open") || items[0];
+      return item ? load(item) : null;
+    },
+
+    async create({ hash, signature, severity, occurrence }) {
+      const title = `[CI Pattern ${hash.slice(0, 8)}] ${signature.slice(0, 120)}`;
+      const header = `${ISSUE_MARKER}\n\n**Signature:**\n\`\`\`\n${signature}\n\`\`\`\n\n`;
+      const history = { ...emptyHistory(), occurrences: [compactOccurrence(occurrence)] };
+      const body = renderBody(header, history, { last7: 1, last14: 1 });
+
+      const created = await octokit.rest.issues.create({
+        owner, repo, title, body,
+        labels: [label, `severity:${severity}`, hashLabel(hash)]
+      });
+
+      // Another run may have created the same pattern at the same time.
+      const siblings = await listByLabels([label, hashLabel(hash)]);
+      if (siblings.length > 1) return mergeGroup(siblings);
+      return toPattern(created.data, body);
+    },
+
+    async addOccurrence(pattern, { occurrence, stats, severity, reopen, thresholdReached }) {
+      const issueNumber = pattern.issueNumber;
+      const entry = compactOccurrence({ ...occurrence, muted: pattern.muted });
+      const history = { ...pattern.history, occurrences: [...pattern.history.occurrences, entry] };
+      const newBody = renderBody(pattern.body, history, stats);
+
+      const updatePayload = { owner, repo, issue_number: issueNumber, body: newBody };
+      if (reopen) updatePayload.state = "open";
+      await octokit.rest.issues.update(updatePayload);
+
+      if (reopen) {
+        await octokit.rest.issues.createComment({
+          owner, repo, issue_number: issueNumber,
+          body: "**Pattern recurred** — this issue was previously resolved but the same failure has reappeared. Check the previous closing comment for fix context."
+        });
+      }
+
+      await applySeverityLabel(octokit, { owner, repo, issueNumber, severity });
+
+      if (thresholdReached) {
+        await octokit.rest.issues.addLabels({
+          owner, repo, issue_number: issueNumber, labels: ["threshold-reached"]
+        });
+      }
+    },
+
+    // `withOccurrences: false` skips fetching each issue body, for callers
+    // that only need state and timestamps.
+    async list({ state = "all", withOccurrences = true } = {}) {
+      const items = (await listByLabels([label], state)).filter((i) => !isMergedDuplicate(i));
+      const patterns = [];
+      for (const item of items) {
+        patterns.push(withOccurrences ? await load(item) : toPattern(item, ""));
+      }
+      return patterns;
+    },
+
+    async close(pattern, message) {
+      await octokit.rest.issues.createComment({
+        owner, repo, issue_number: pattern.issueNumber, body: message
+      });
+      await octokit.rest.issues.update({
+        owner, repo, issue_number: pattern.issueNumber, state: "closed"
+      });
+    },
+
+    // Finds every set of issues sharing a hash and merges each into its
+    // oldest issue. Duplicates closed by an earlier merge are left alone.
+    async reconcile() {
+      const groups = new Map();
+      for (const item of await listByLabels([label])) {
+        if (isMergedDuplicate(item)) continue;
+        const hash = hashOf(item);
+        if (!hash) continue;
+        if (!groups.has(hash)) groups.set(hash, []);
+        groups.get(hash).push(item);
+      }
+
+      const merged = [];
+      for (const items of groups.values()) {
+        if (items.length < 2) continue;
+        const canonical = await mergeGroup(items);
+        merged.push({ issueNumber: canonical.issueNumber, duplicates: items.slice(1).map((i) => i.number) });
+      }
+      return merged;
+    },
+
+    async findFixes(pattern) {
+      const q = `repo:${owner}/${repo} is:pr is:merged ${pattern.issueNumber}`;
+      const result = await octokit.rest.search.issuesAndPullRequests({ q, per_page: 5 });
+
+      const linked = result.data.items.filter((pr) => {
+        const text = (pr.body || "") + " " + (pr.title || "");
+        return text.includes(`#${pattern.issueNumber}`) || text.includes(`issues/${pattern.issueNumber}`);
+      });
+
+      return linked.map((pr) => ({ number: pr.number, title: pr.title, url: pr.html_url }));
+    },
+
+    async flush() {}
+  };
+}
+
+export {
+  createIssuesStore
+};
@@ -0,0 +1,32 @@
+import fs from "fs";
+import path from "path";
+
+import { formatFor, parseDocument, serializeDocument, createDocumentStore } from "./document.js";
+
+// Keeps patterns in a JSON/NDJSON file on disk. Used by the offline CLI and
+// by workflows that persist the file themselves (e.g. with actions/cache).
+function createLocalFileStore({ filePath }) {
+  const format = formatFor(filePath);
+
+  return createDocumentStore({
+    name: "file",
+
+    async load() {
+      if (!fs.existsSync(filePath)) return parseDocument("", format);
+      return parseDocument(fs.readFileSync(filePath, "utf8"), format);
+    },
+
+    async save(doc) {
+      fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+      fs.writeFileSync(filePath, serializeDocument(doc, format), "utf8");
+    },
+
+    urlFor() {
+      return filePath;
+    }
+  });
+}
+
+export {
+  createLocalFileStore
+};
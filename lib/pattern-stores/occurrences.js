@@ -0,0 +1,81 @@
+// Occurrence history shared by all stores. The newest occurrences are kept in
+// full; older ones are rolled up into per-day counts, and days past the
+// retention window into per-month counts, so a busy pattern's record stays
+// bounded while totals and 7/14-day windows stay exact.
+
+const DAILY_RETENTION_DAYS = 90;
+const MAX_CONTEXT_LENGTH = 200;
+
+function computeWindowStats(timestamps, now) {
+  const d7 = new Date(now.getTime() - 7 * 86400000);
+  const d14 = new Date(now.getTime() - 14 * 86400000);
+  let last7 = 0;
+  let last14 = 0;
+  for (const ts of timestamps) {
+    if (ts >= d7) last7++;
+    if (ts >= d14) last14++;
+  }
+  return { last7, last14 };
+}
+
+function emptyHistory() {
+  return { occurrences: [], daily: {}, monthly: {} };
+}
+
+// Drops empty fields so each stored occurrence is as small as possible.
+function compactOccurrence(occurrence) {
+  const out = {};
+  for (const [k, v] of Object.entries(occurrence)) {
+    if (v === undefined || v === null || v === "" || v === false) continue;
+    out[k] = k === "explainerContext" ? String(v).slice(0, MAX_CONTEXT_LENGTH) : v;
+  }
+  return out;
+}
+
+function addCount(map, key, n) {
+  map[key] = (map[key] || 0) + n;
+}
+
+function rollUpHistory(history, { maxDetailed, now = new Date() }) {
+  const daily = { ...history.daily };
+  const monthly = { ...history.monthly };
+  const excess = Math.max(0, history.occurrences.length - maxDetailed);
+
+  // Muted occurrences don't count, so they are dropped rather than rolled up.
+  for (const o of history.occurrences.slice(0, excess)) {
+    if (!o.muted) addCount(daily, o.when.slice(0, 10), 1);
+  }
+
+  const cutoff = new Date(now.getTime() - DAILY_RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+  for (const [day, n] of Object.entries(daily)) {
+    if (day >= cutoff) continue;
+    addCount(monthly, day.slice(0, 7), n);
+    delete daily[day];
+  }
+
+  return { occurrences: history.occurrences.slice(excess), daily, monthly };
+}
+
+// One entry per counted occurrence, oldest first. Rolled-up entries only
+// carry a timestamp (start of their day or month).
+function expandHistory(history) {
+  const out = [];
+  for (const [month, n] of Object.entries(history.monthly || {}).sort()) {
+    for (let i = 0; i < n; i++) out.push({ when: `${month}-01T00:00:00.000Z`, rolledUp: true });
+  }
+  for (const [day, n] of Object.entries(history.daily || {}).sort()) {
+    for (let i = 0; i < n; i++) out.push({ when: `${day}T00:00:00.000Z`, rolledUp: true });
+  }
+  for (const o of history.occurrences || []) {
+    if (!o.muted) out.push(o);
+  }
+  return out;
+}
+
+export {
+  computeWindowStats,
+  emptyHistory,
+  compactOccurrence,
+  rollUpHistory,
+  expandHistory
+};
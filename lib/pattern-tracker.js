@@ -1,29 +1,12 @@
-import * as core from "@actions/core";
+import { computeWindowStats } from "./pattern-stores/occurrences.js";
 
-const ISSUE_MARKER = "<!-- pattern-signature:v0 -->";
+// Backend-agnostic pattern tracking: recurrence counting, severity,
+// auto-close and export on top of a pattern store (see ./pattern-stores).
 
-// -------------------- Occurrence parsing --------------------
+// -------------------- Occurrence stats --------------------
 
-function parseOccurrenceTimestamps(body) {
-  const re = /^- (\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z)/gm;
-  const timestamps = [];
-  let m;
-  while ((m = re.exec(body)) !== null) {
-    timestamps.push(new Date(m[1]));
-  }
-  return timestamps;
-}
-
-function computeWindowStats(timestamps, now) {
-  const d7 = new Date(now.getTime() - 7 * 86400000);
-  const d14 = new Date(now.getTime() - 14 * 86400000);
-  let last7 = 0;
-  let last14 = 0;
-  for (const ts of timestamps) {
-    if (ts >= d7) last7++;
-    if (ts >= d14) last14++;
-  }
-  return { last7, last14 };
+function occurrenceTimestamps(pattern) {
+  return pattern.occurrences.map((o) => new Date(o.when));
 }
 
 // -------------------- Severity --------------------
@@ -34,98 +17,47 @@ const BASE_SEVERITY = {
   Build: "high",
   TypeScript: "medium",
   "Jest/Vitest": "medium",
+  "Test report": "medium",
   Node: "high",
   ESLint: "low",
+  Runner: "low",
+  Timeout: "low",
+  Cancelled: "low",
+  "Out of memory": "medium",
+  "Disk space": "medium",
+  Registry: "low",
+  Network: "low",
+  Annotation: "medium",
   Generic: "low"
 };
 
+function applySeverityOverrides(overrides = {}) {
+  Object.assign(BASE_SEVERITY, overrides);
+}
+
 function classifySeverity(ruleName, stats7d) {
   const base = BASE_SEVERITY[ruleName] || "low";
   if (stats7d >= 5) return "high";
   return base;
 }
 
-async function applySeverityLabel(octokit, { owner, repo, issueNumber, severity }) {
-  const prefix = "severity:";
-  const targetLabel = prefix + severity;
-
-  const { data: labels } = await octokit.rest.issues.listLabelsOnIssue({
-    owner, repo, issue_number: issueNumber, per_page: 100
-  });
-
-  const stale = labels.filter(
-    (l) => l.name.startsWith(prefix) && l.name !== targetLabel
-  );
-
-  for (const l of stale) {
-    await octokit.rest.issues.removeLabel({
-      owner, repo, issue_number: issueNumber, name: l.name
-    });
-  }
-
-  const alreadyApplied = labels.some((l) => l.name === targetLabel);
-  if (!alreadyApplied) {
-    await octokit.rest.issues.addLabels({
-      owner, repo, issue_number: issueNumber, labels: [targetLabel]
-    });
-  }
-}
-
-// -------------------- Stats line --------------------
-
-function appendStatsLine(body, stats) {
-  const statsLine = `**Last 7d:** ${stats.last7} | **Last 14d:** ${stats.last14}`;
-  const statsRe = /^\*\*Last 7d:\*\*.+$/m;
-  if (statsRe.test(body)) {
-    return body.replace(statsRe, statsLine);
-  }
-  return body.replace(
-    /^## Occurrences/m,
-    `${statsLine}\n\n## Occurrences`
-  );
-}
-
-// -------------------- Fix-PR detection --------------------
-
-async function findFixingPR(octokit, { owner, repo, issueNumber }) {
-  const q = `repo:${owner}/${repo} is:pr is:merged ${issueNumber}`;
-  const result = await octokit.rest.search.issuesAndPullRequests({ q, per_page: 5 });
-
-  const linked = result.data.items.filter((pr) => {
-    const body = (pr.body || "") + " " + (pr.title || "");
-    return body.includes(`#${issueNumber}`) || body.includes(`issues/${issueNumber}`);
-  });
-
-  return linked.map((pr) => ({ number: pr.number, title: pr.title, url: pr.html_url }));
-}
-
 // -------------------- Auto-close --------------------
 
-async function autoCloseQuietIssues(octokit, { issueOwner, issueRepo, label, quietDays }) {
+async function autoCloseQuietIssues(store, { quietDays }) {
   if (quietDays <= 0) return [];
 
-  const q = `repo:${issueOwner}/${issueRepo} is:issue is:open label:${label}`;
-  const result = await octokit.rest.search.issuesAndPullRequests({ q, per_page: 50 });
-
   const closed = [];
   const cutoff = new Date(Date.now() - quietDays * 86400000);
 
-  for (const item of result.data.items) {
-    const issue = await octokit.rest.issues.get({
-      owner: issueOwner, repo: issueRepo, issue_number: item.number
-    });
-
-    const timestamps = parseOccurrenceTimestamps(issue.data.body || "");
+  for (const pattern of await store.list({ state: "open" })) {
+    const timestamps = occurrenceTimestamps(pattern);
     if (timestamps.length === 0) continue;
 
     const lastSeen = timestamps.reduce((a, b) => (a > b ? a : b));
     if (lastSeen >= cutoff) continue;
 
     const daysSince = Math.floor((Date.now() - lastSeen.getTime()) / 86400000);
-
-    const fixingPRs = await findFixingPR(octokit, {
-      owner: issueOwner, repo: issueRepo, issueNumber: item.number
-    });
+    const fixingPRs = await store.findFixes(pattern);
 
     let closeMsg = `Pattern inactive for ${daysSince} days — closing.`;
     if (fixingPRs.length > 0) {
@@ -133,164 +65,149 @@ async function autoCloseQuietIssues(octokit, { issueOwner, issueRepo, label, qui
       closeMsg += `\n\n**Likely fixed by:**\n${links}`;
     }
 
-    await octokit.rest.issues.createComment({
-      owner: issueOwner, repo: issueRepo, issue_number: item.number, body: closeMsg
-    });
-
-    await octokit.rest.issues.update({
-      owner: issueOwner, repo: issueRepo, issue_number: item.number, state: "closed"
-    });
-
-    closed.push(item.number);
+    await store.close(pattern, closeMsg);
+    closed.push(pattern.issueNumber ?? pattern.hash.slice(0, 8));
   }
 
   return closed;
 }
 
-// -------------------- Issue upsert --------------------
-
-async function upsertIssueForSignature({
-  octokit, issueOwner, issueRepo, label, signature, signatureHash,
-  occurrence, ruleName, notifyThreshold
-}) {
-  const q = `repo:${issueOwner}/${issueRepo} is:issue in:title "${signatureHash}" label:${label}`;
-  const found = await octokit.rest.search.issuesAndPullRequests({ q, per_page: 10 });
-
-  const title = `[CI Pattern ${signatureHash.slice(0, 8)}] ${signature.slice(0, 120)}`;
-  const header = `${ISSUE_MARKER}\n\n**Signature:**\n\`\`\`\n${signature}\n\`\`\`\n\n`;
-  const repoTag = occurrence.sourceRepo ? ` (${occurrence.sourceRepo})` : "";
-  const explainerSuffix = occurrence.explainerContext ? `\n  > ${occurrence.explainerContext}` : "";
-  const occLine = `- ${occurrence.when} — ${occurrence.runUrl}${repoTag}${explainerSuffix}`;
-
-  // Also search closed issues for previously resolved patterns
-  if (found.data.items.length === 0) {
-    const closedQ = `repo:${issueOwner}/${issueRepo} is:issue is:closed in:title "${signatureHash}" label:${label}`;
-    const closedFound = await octokit.rest.search.issuesAndPullRequests({ q: closedQ, per_page: 10 });
-    if (closedFound.data.items.length > 0) {
-      found.data.items = closedFound.data.items;
-    }
-  }
-
-  if (found.data.items.length > 0) {
-    const issueNumber = found.data.items[0].number;
-    const wasClosed = found.data.items[0].state === "closed";
-    const existingLabels = (found.data.items[0].labels || []).map(
-      (l) => (typeof l === "string" ? l : l.name)
-    );
-    const muted = existingLabels.includes("muted");
-
-    const issue = await octokit.rest.issues.get({
-      owner: issueOwner, repo: issueRepo, issue_number: issueNumber
-    });
-
-    const body = issue.data.body || "";
-    const updatedBody = body.includes("## Occurrences")
-      ? body.replace(/^## Occurrences\s*$/m, "## Occurrences")
-      : body + (body.endsWith("\n") ? "" : "\n") + "\n## Occurrences\n";
+// -------------------- Clustering --------------------
 
-    const prefixedOccLine = muted ? `- [muted] ${occurrence.when} — ${occurrence.runUrl}${repoTag}${explainerSuffix}` : occLine;
-    let newBody = updatedBody.replace(
-      /## Occurrences\s*\n/i,
-      `## Occurrences\n${prefixedOccLine}\n`
-    );
-
-    const allTimestamps = parseOccurrenceTimestamps(newBody);
-    const stats = computeWindowStats(allTimestamps, new Date());
-    newBody = appendStatsLine(newBody, stats);
-
-    const severity = classifySeverity(ruleName, stats.last7);
-
-    const updatePayload = {
-      owner: issueOwner, repo: issueRepo, issue_number: issueNumber, body: newBody
-    };
+// Issue titles only carry the first 120 characters of a signature, so
+// comparisons are made on that prefix for every store.
+const CLUSTER_COMPARE_LENGTH = 120;
 
-    if (wasClosed) {
-      updatePayload.state = "open";
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
     }
+    prev = cur;
+  }
+  return prev[b.length];
+}
 
-    await octokit.rest.issues.update(updatePayload);
+// 1 for identical signatures, 0 for nothing in common.
+function signatureSimilarity(a, b) {
+  const x = a.slice(0, CLUSTER_COMPARE_LENGTH);
+  const y = b.slice(0, CLUSTER_COMPARE_LENGTH);
+  const longest = Math.max(x.length, y.length);
+  if (longest === 0) return 1;
+  return 1 - editDistance(x, y) / longest;
+}
 
-    if (wasClosed) {
-      await octokit.rest.issues.createComment({
-        owner: issueOwner, repo: issueRepo, issue_number: issueNumber,
-        body: "**Pattern recurred** — this issue was previously resolved but the same failure has reappeared. Check the previous closing comment for fix context."
-      });
-    }
+// Finds the most similar existing pattern of the same rule, if any reaches
+// `threshold`.
+async function findSimilarPattern(store, { signature, ruleName, threshold }) {
+  let best = null;
+  for (const p of await store.list({ state: "all", withOccurrences: false })) {
+    if (p.rule !== ruleName || !p.hash) continue;
+    const similarity = signatureSimilarity(signature, p.signature);
+    if (similarity >= threshold && (!best || similarity > best.similarity)) best = { hash: p.hash, similarity };
+  }
+  return best;
+}
 
-    await applySeverityLabel(octokit, {
-      owner: issueOwner, repo: issueRepo, issueNumber, severity
-    });
+// -------------------- Upsert --------------------
 
-    const totalOccurrences = allTimestamps.length;
-    let thresholdReached = false;
-
-    if (notifyThreshold > 0 && totalOccurrences >= notifyThreshold) {
-      const thresholdLabel = "threshold-reached";
-      const hasLabel = existingLabels.includes(thresholdLabel);
-      if (!hasLabel) {
-        await octokit.rest.issues.addLabels({
-          owner: issueOwner, repo: issueRepo, issue_number: issueNumber,
-          labels: [thresholdLabel]
-        });
-        thresholdReached = true;
-      }
-    }
+// With `similarity` between 0 and 1, a signature with no exact match is
+// folded into the closest existing pattern of the same rule.
+async function upsertIssueForSignature({ store, signature, signatureHash, occurrence, ruleName, notifyThreshold, similarity = 0 }) {
+  let existing = await store.find(signatureHash);
+  let match = null;
 
-    return { kind: wasClosed ? "reopened" : "updated", issueNumber, url: found.data.items[0].html_url, severity, muted, totalOccurrences, thresholdReached };
+  if (!existing && similarity > 0) {
+    match = await findSimilarPattern(store, { signature, ruleName, threshold: similarity });
+    if (match) {
+      existing = await store.find(match.hash);
+      occurrence = { ...occurrence, variant: signature };
+    }
   }
 
-  const severity = classifySeverity(ruleName, 0);
-
-  const body = header + "## Occurrences\n" + occLine + "\n";
-  const created = await octokit.rest.issues.create({
-    owner: issueOwner, repo: issueRepo, title, body,
-    labels: [label, `severity:${severity}`]
-  });
+  if (!existing) {
+    const severity = classifySeverity(ruleName, 0);
+    const created = await store.create({ hash: signatureHash, signature, rule: ruleName, severity, occurrence });
+    return {
+      kind: "created", issueNumber: created.issueNumber, url: created.url, severity, previousSeverity: null,
+      muted: false, totalOccurrences: 1, thresholdReached: false, similarity: null
+    };
+  }
 
-  return { kind: "created", issueNumber: created.data.number, url: created.data.html_url, severity, muted: false, totalOccurrences: 1, thresholdReached: false };
+  const wasClosed = existing.state === "closed";
+  // Muted patterns keep a record of the occurrence but it doesn't count.
+  const timestamps = occurrenceTimestamps(existing);
+  if (!existing.muted) timestamps.push(new Date(occurrence.when));
+
+  const stats = computeWindowStats(timestamps, new Date());
+  const severity = classifySeverity(ruleName, stats.last7);
+  const totalOccurrences = timestamps.length;
+  const thresholdReached = notifyThreshold > 0 && totalOccurrences >= notifyThreshold && !existing.thresholdReached;
+
+  // Marked so reports can tell recurrences of closed patterns apart.
+  if (wasClosed) occurrence = { ...occurrence, reopened: true };
+  await store.addOccurrence(existing, { occurrence, stats, severity, reopen: wasClosed, thresholdReached });
+
+  return {
+    kind: wasClosed ? "reopened" : "updated", issueNumber: existing.issueNumber, url: existing.url, severity,
+    previousSeverity: existing.severity,
+    muted: existing.muted, totalOccurrences, thresholdReached,
+    similarity: match ? Math.round(match.similarity * 100) / 100 : null
+  };
 }
 
 // -------------------- JSON export --------------------
 
-async function exportPatternsAsJson(octokit, { issueOwner, issueRepo, label }) {
-  const q = `repo:${issueOwner}/${issueRepo} is:issue label:${label}`;
-  const result = await octokit.rest.search.issuesAndPullRequests({ q, per_page: 100 });
-
+async function exportPatternsAsJson(store) {
   const patterns = [];
 
-  for (const item of result.data.items) {
-    const issue = await octokit.rest.issues.get({
-      owner: issueOwner, repo: issueRepo, issue_number: item.number
-    });
-
-    const body = issue.data.body || "";
-    const timestamps = parseOccurrenceTimestamps(body);
+  for (const p of await store.list({ state: "all" })) {
+    const timestamps = occurrenceTimestamps(p);
     const lastSeen = timestamps.length > 0
       ? timestamps.reduce((a, b) => (a > b ? a : b)).toISOString()
       : null;
 
-    const hashMatch = item.title.match(/\[CI Pattern ([a-f0-9]+)\]/);
-    const hash = hashMatch ? hashMatch[1] : "";
-
-    const sigMatch = body.match(/\*\*Signature:\*\*\n```\n([\s\S]*?)\n```/);
-    const signature = sigMatch ? sigMatch[1] : item.title;
-
-    const labels = (item.labels || []).map((l) => (typeof l === "string" ? l : l.name));
-    const severity = labels.find((l) => l.startsWith("severity:"))?.replace("severity:", "") || "unknown";
-    const muted = labels.includes("muted");
-
     patterns.push({
-      issueNumber: item.number, hash, signature,
-      occurrences: timestamps.length, lastSeen, severity, muted,
-      state: item.state, url: item.html_url
+      issueNumber: p.issueNumber, hash: p.hash, signature: p.signature,
+      occurrences: timestamps.length, lastSeen, severity: p.severity, muted: p.muted,
+      state: p.state, url: p.url
     });
   }
 
   return patterns;
 }
 
+// -------------------- Time to fix --------------------
+
+// Median hours from first seen to closed, per rule.
+async function computeTimeToFix(store) {
+  const fixTimes = {};
+
+  for (const p of await store.list({ state: "closed", withOccurrences: false })) {
+    if (!p.closedAt || !p.createdAt) continue;
+    const hours = Math.round((new Date(p.closedAt) - new Date(p.createdAt)) / 3600000);
+    if (!fixTimes[p.rule]) fixTimes[p.rule] = [];
+    fixTimes[p.rule].push(hours);
+  }
+
+  const medians = {};
+  for (const [type, times] of Object.entries(fixTimes)) {
+    times.sort((a, b) => a - b);
+    const mid = Math.floor(times.length / 2);
+    medians[type] = times.length % 2 === 0
+      ? Math.round((times[mid - 1] + times[mid]) / 2)
+      : times[mid];
+  }
+
+  return medians;
+}
+
 export {
+  applySeverityOverrides,
   upsertIssueForSignature,
   autoCloseQuietIssues,
-  exportPatternsAsJson
+  exportPatternsAsJson,
+  computeTimeToFix
 };
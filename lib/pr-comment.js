@@ -0,0 +1,126 @@
+// The PR comment is rewritten on every run for the PR. A hidden state block
+// carries the attempt history from one rewrite to the next.
+
+const STATE_RE = /<!-- ci-failure-analyzer:state\n([\s\S]*?)\n-->/;
+const MAX_HISTORY = 10;
+const SHOWN_HISTORY = 5;
+
+// -------------------- History --------------------
+
+function parseCommentHistory(body) {
+  const m = STATE_RE.exec(body || "");
+  if (!m) return [];
+  try {
+    const state = JSON.parse(m[1]);
+    return Array.isArray(state.history) ? state.history : [];
+  } catch {
+    return [];
+  }
+}
+
+// Appends this attempt, replacing an earlier entry for the same run attempt
+// (the analyzer ran twice on it).
+function recordAttempt(history, entry) {
+  const rest = history.filter((h) => !(h.runId === entry.runId && h.attempt === entry.attempt));
+  return [...rest, entry].slice(-MAX_HISTORY);
+}
+
+function stateBlock(history) {
+  // "--" would end the HTML comment early; the escape is still valid JSON.
+  const json = JSON.stringify({ version: 1, history }).replace(/--/g, "-\\u002d");
+  return `<!-- ci-failure-analyzer:state\n${json}\n-->\n`;
+}
+
+// -------------------- Rendering --------------------
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" })[c]);
+}
+
+function cell(text, max = 60) {
+  const t = String(text ?? "").replace(/\s+/g, " ");
+  const short = t.length > max ? t.slice(0, max - 1) + "…" : t;
+  return short.replace(/\|/g, "\\|").replace(/</g, "&lt;");
+}
+
+function runRef(h) {
+  const label = `#${h.runId}${h.attempt > 1 ? ` (attempt ${h.attempt})` : ""}`;
+  return h.runUrl ? `[${label}](${h.runUrl})` : label;
+}
+
+function shortSha(sha) {
+  return sha ? `\`${sha.slice(0, 7)}\`` : "";
+}
+
+function renderHistory(history) {
+  const previous = history.slice(0, -1).slice(-SHOWN_HISTORY).reverse();
+  if (previous.length === 0) return "";
+
+  const rows = previous.map((h) => {
+    const result = h.conclusion === "success"
+      ? "passed"
+      : `failed (${h.verdict || "unknown"}): ${cell(h.jobs.join(", "))}`;
+    return `| ${h.when.slice(0, 16).replace("T", " ")} | ${runRef(h)} | ${shortSha(h.sha)} | ${result} |\n`;
+  }).join("");
+
+  return `<details>\n<summary>Previous attempts (${previous.length})</summary>\n\n` +
+    "| When (UTC) | Run | Commit | Result |\n|---|---|---|---|\n" + rows + "\n</details>\n";
+}
+
+// One collapsible block per failed job: a header table with one row per
+// finding, then the detailed findings.
+function renderJobSection(section, { open = false } = {}) {
+  const [first] = section.rows;
+  const extra = section.rows.length > 1 ? ` (+${section.rows.length - 1} more)` : "";
+  const summary = `<b>${escapeHtml(section.title)}</b>` + (first ? ` — ${escapeHtml(first.type)}${extra}` : "");
+
+  const meta = section.url ? `- Conclusion: **${section.conclusion}** · [Job logs](${section.url})\n` : "";
+  const table = section.rows.length > 0
+    ? "| Step | Type | Confidence | Category |\n|---|---|---|---|\n" +
+      section.rows.map((r) => `| ${cell(r.step)} | ${cell(r.type)} | ${r.confidence} | ${r.category} |\n`).join("") + "\n"
+    : "";
+
+  return `<details${open ? " open" : ""}>\n<summary>${summary}</summary>\n\n` +
+    meta + (meta && table ? "\n" : "") + table + section.parts.join("\n") + "\n</details>\n";
+}
+
+function renderFailureComment({ marker, parts, sections, skippedJobs = [], history }) {
+  const skipped = skippedJobs.length > 0
+    ? `_${skippedJobs.length} more failed job(s) not analyzed (\`max_failed_jobs\`): ${skippedJobs.map((j) => cell(j)).join(", ")}._\n`
+    : "";
+
+  return [
+    marker,
+    ...parts,
+    ...sections.map((s, i) => renderJobSection(s, { open: i === 0 })),
+    skipped,
+    renderHistory(history),
+    stateBlock(history)
+  ].filter(Boolean).join("\n");
+}
+
+// Rewrites a failure comment once a later run for the PR is green.
+function renderResolvedComment({ marker, history }) {
+  const current = history[history.length - 1];
+  const lastFailure = [...history].reverse().find((h) => h.conclusion !== "success");
+  const failureLine = lastFailure
+    ? `Last failure: ${runRef(lastFailure)} on ${shortSha(lastFailure.sha)} — ${cell(lastFailure.jobs.join(", "), 200)}.\n`
+    : "";
+
+  return [
+    marker,
+    "### CI Failure Analyzer\n",
+    `**Now passing** on ${shortSha(current.sha) || "the latest commit"} (${runRef(current)}). ` +
+      "The failures previously reported here are resolved.\n",
+    failureLine,
+    renderHistory(history),
+    stateBlock(history)
+  ].filter(Boolean).join("\n");
+}
+
+export {
+  parseCommentHistory,
+  recordAttempt,
+  renderFailureComment,
+  renderResolvedComment
+};
@@ -0,0 +1,74 @@
+import { listRunJobsCached } from "./error-detector.js";
+import { samePath } from "./utils.js";
+
+// Tells apart failures a PR caused from breakage already present on its base
+// branch, so contributors aren't blamed for a red main.
+
+const BASE_LOOKBACK_DAYS = 14;
+const BASE_RUN_LOOKBACK = 5;
+
+// -------------------- Evidence --------------------
+
+async function listPrFiles(octokit, { owner, repo, prNumber }) {
+  const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+    owner, repo, pull_number: prNumber, per_page: 100
+  });
+  return files.flatMap((f) => [f.filename, f.previous_filename].filter(Boolean));
+}
+
+// The job in the latest base-branch run of the workflow that ran it. Returns
+// null when it passed there, so only a failing base job is worth reading.
+async function findBaseJobFailure(octokit, { owner, repo, workflowId, baseBranch, jobName, cache }) {
+  const runs = await octokit.rest.actions.listWorkflowRuns({
+    owner, repo, workflow_id: workflowId, branch: baseBranch, status: "completed", per_page: BASE_RUN_LOOKBACK
+  });
+
+  for (const run of runs.data.workflow_runs) {
+    const jobs = await listRunJobsCached(octokit, cache, { owner, repo, runId: run.id });
+    const latest = jobs
+      .filter((j) => j.name === jobName)
+      .sort((x, y) => (y.run_attempt || 1) - (x.run_attempt || 1))[0];
+    if (!latest) continue;
+    return latest.conclusion === "failure" || latest.conclusion === "timed_out" ? latest : null;
+  }
+  return null;
+}
+
+// Most recent tracked occurrence of a pattern on `branch` within the window.
+function recentOccurrenceOn(pattern, branch, { now = new Date(), days = BASE_LOOKBACK_DAYS } = {}) {
+  const from = now.getTime() - days * 86400000;
+  return pattern.occurrences
+    .filter((o) => o.branch === branch && new Date(o.when).getTime() >= from)
+    .pop() || null;
+}
+
+// -------------------- Verdict --------------------
+
+// A failure already seen on the base branch is pre-existing even if the PR
+// also touches the file; otherwise touching a failing file blames the PR.
+function classifyPrFailure({ filePaths, changedFiles, baseEvidence, baseBranch }) {
+  if (baseEvidence) {
+    return { verdict: "pre-existing", label: `likely pre-existing on ${baseBranch}`, reason: baseEvidence };
+  }
+
+  const touched = filePaths.filter((p) => changedFiles.some((f) => samePath(f, p)));
+  if (touched.length > 0) {
+    return { verdict: "pr", label: "caused by this PR", reason: `this PR changes ${touched.slice(0, 3).join(", ")}` };
+  }
+
+  return { verdict: "unknown", label: "unknown", reason: "" };
+}
+
+function formatPrVerdictCounts(verdicts) {
+  const counts = new Map();
+  for (const v of verdicts) counts.set(v.label, (counts.get(v.label) || 0) + 1);
+  return [...counts].map(([label, n]) => `${n} ${label}`).join(", ");
+}
+
+export {
+  listPrFiles,
+  findBaseJobFailure,
+  recentOccurrenceOn,
+  classifyPrFailure,
+  formatPrVerdictCounts
+};
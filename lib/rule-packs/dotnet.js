@@ -0,0 +1,31 @@
+// .NET: C#/MSBuild compile errors, dotnet test failures and NuGet restore.
+
+export default {
+  id: "dotnet",
+  name: ".NET",
+  rules: [
+    { name: "dotnet build", re: /\berror CS\d{4}:/, specificity: 0.95 },
+    { name: "dotnet build", re: /\berror MSB\d{4}:/, specificity: 0.8 },
+    { name: "dotnet build", re: /^\s*Build FAILED\.\s*$/, specificity: 0.55 },
+    { name: "dotnet test", re: /^\s*Failed\s+[\w.+`<>,]+\s+\[[^\]]*\]\s*$/, specificity: 0.85 },
+    { name: "dotnet test", re: /\bFailed!\s+-\s+Failed:\s+[1-9]/, specificity: 0.6 },
+    { name: "NuGet", re: /\berror NU\d{4}:/, specificity: 0.85 }
+  ],
+  hints: {
+    "dotnet build": [
+      "Open the referenced file/line for the first `error CS…`; later errors usually cascade from it.",
+      "If it only fails in CI, compare the SDK version (`global.json`) and target frameworks."
+    ],
+    "dotnet test": [
+      "Run the failing test locally with `dotnet test --filter FullyQualifiedName~<name>`.",
+      "Check for culture/timezone assumptions and shared state between tests."
+    ],
+    NuGet: [
+      "Run `dotnet restore` locally; check package versions and `nuget.config` sources.",
+      "For private feeds, verify the CI credentials and source mapping."
+    ]
+  },
+  runbookSlugs: { "dotnet build": "dotnet-build", "dotnet test": "dotnet-test", NuGet: "nuget" },
+  deployRisk: { "dotnet build": "high", "dotnet test": "medium", NuGet: "high" },
+  severity: { "dotnet build": "medium", "dotnet test": "medium", NuGet: "high" }
+};
@@ -0,0 +1,45 @@
+import rust from "./rust.js";
+import dotnet from "./dotnet.js";
+import ruby from "./ruby.js";
+import php from "./php.js";
+import terraform from "./terraform.js";
+
+const RULE_PACKS = [rust, dotnet, ruby, php, terraform];
+
+// Resolves a pack selection: "all" (default), "none", or a list of pack ids.
+// A list may also start from "all" and remove packs with a "!" prefix, e.g.
+// "all,!ruby". Unknown ids are returned so the caller can warn about them.
+function resolveRulePacks(spec) {
+  const items = (Array.isArray(spec) ? spec : String(spec ?? "all").split(","))
+    .map((s) => String(s).trim().toLowerCase())
+    .filter(Boolean);
+  if (items.length === 0) items.push("all");
+
+  const known = new Map(RULE_PACKS.map((p) => [p.id, p]));
+  const enabled = new Set();
+  const unknown = [];
+
+  for (const item of items) {
+    const negate = item.startsWith("!");
+    const id = negate ? item.slice(1) : item;
+
+    if (id === "all") {
+      for (const p of RULE_PACKS) enabled.add(p.id);
+    } else if (id === "none") {
+      enabled.clear();
+    } else if (!known.has(id)) {
+      unknown.push(id);
+    } else if (negate) {
+      enabled.delete(id);
+    } else {
+      enabled.add(id);
+    }
+  }
+
+  return { packs: RULE_PACKS.filter((p) => enabled.has(p.id)), unknown };
+}
+
+export {
+  RULE_PACKS,
+  resolveRulePacks
+};
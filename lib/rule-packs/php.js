@@ -0,0 +1,31 @@
+// PHP: PHPUnit, Composer and PHP fatal/parse errors.
+
+export default {
+  id: "php",
+  name: "PHP",
+  rules: [
+    { name: "PHPUnit", re: /^\s*\d+\) [\w\\]+::\w+/, specificity: 0.85 },
+    { name: "PHPUnit", re: /^\s*FAILURES!\s*$/, specificity: 0.5 },
+    { name: "PHPUnit", re: /\bTests: \d+, Assertions: \d+, (Failures|Errors): [1-9]/, specificity: 0.5 },
+    { name: "Composer", re: /\bYour requirements could not be resolved\b/, specificity: 0.85 },
+    { name: "Composer", re: /\block file is not up to date\b/i, specificity: 0.7 },
+    { name: "PHP", re: /\bPHP (Fatal|Parse) error:/, specificity: 0.9 }
+  ],
+  hints: {
+    PHPUnit: [
+      "Run the failing test locally with `vendor/bin/phpunit --filter <name>`.",
+      "Check for database state, environment config (`phpunit.xml`) and test ordering."
+    ],
+    Composer: [
+      "Run `composer update <package>` locally and commit `composer.lock`.",
+      "Check the PHP version and extensions required by your dependencies (`composer check-platform-reqs`)."
+    ],
+    PHP: [
+      "Open the referenced file/line; fatal and parse errors stop execution at the first problem.",
+      "If it only fails in CI, compare the PHP version and enabled extensions."
+    ]
+  },
+  runbookSlugs: { PHPUnit: "phpunit", Composer: "composer", PHP: "php" },
+  deployRisk: { PHPUnit: "medium", Composer: "high", PHP: "high" },
+  severity: { PHPUnit: "medium", Composer: "high", PHP: "high" }
+};
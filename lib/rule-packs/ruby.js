@@ -0,0 +1,37 @@
+// Ruby: RSpec, Minitest, Bundler and RuboCop.
+
+export default {
+  id: "ruby",
+  name: "Ruby",
+  rules: [
+    { name: "RSpec", re: /^\s*rspec \.\/\S+_spec\.rb:\d+/, specificity: 0.9 },
+    { name: "RSpec", re: /^\s*Failure\/Error:/, specificity: 0.8 },
+    { name: "RSpec", re: /\b\d+ examples?, [1-9]\d* failures?\b/, specificity: 0.5 },
+    { name: "Minitest", re: /^\s*\d+\) (Failure|Error):\s*$/, specificity: 0.85 },
+    { name: "Minitest", re: /\b\d+ runs, \d+ assertions, (?:[1-9]\d* failures|\d+ failures, [1-9]\d* errors)\b/, specificity: 0.5 },
+    { name: "Bundler", re: /\bBundler::GemNotFound\b|\bCould not find gem\b/, specificity: 0.8 },
+    { name: "Bundler", re: /\bAn error occurred while installing\b/, specificity: 0.7 },
+    { name: "RuboCop", re: /\.rb:\d+:\d+: [CWEF]: /, specificity: 0.85 }
+  ],
+  hints: {
+    RSpec: [
+      "Re-run the exact example locally with the `rspec ./spec/…:<line>` command from the log.",
+      "If it only fails in CI, check test ordering (`--seed`), time-dependent code and database state."
+    ],
+    Minitest: [
+      "Run the failing test locally with `bin/rails test <file>:<line>` or `ruby -Itest <file> -n <name>`.",
+      "Check for fixtures, ordering (`--seed`) and shared state between tests."
+    ],
+    Bundler: [
+      "Run `bundle install` locally and commit the updated `Gemfile.lock`.",
+      "For native extensions, make sure the required system libraries are installed in CI."
+    ],
+    RuboCop: [
+      "Run `bundle exec rubocop -a` locally to autocorrect what it can.",
+      "If the offense is intentional, add a targeted `# rubocop:disable` comment."
+    ]
+  },
+  runbookSlugs: { RSpec: "rspec", Minitest: "minitest", Bundler: "bundler", RuboCop: "rubocop" },
+  deployRisk: { RSpec: "medium", Minitest: "medium", Bundler: "high", RuboCop: "low" },
+  severity: { RSpec: "medium", Minitest: "medium", Bundler: "high", RuboCop: "low" }
+};
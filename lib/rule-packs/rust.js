@@ -0,0 +1,33 @@
+// Rust: rustc/cargo build errors, cargo test failures and dependency resolution.
+
+export default {
+  id: "rust",
+  name: "Rust",
+  rules: [
+    { name: "Rust", re: /^\s*error\[E\d{4}\]:/, specificity: 0.95 },
+    { name: "Rust", re: /^\s*error: could not compile\b/, specificity: 0.6 },
+    { name: "Rust", re: /^\s*error: aborting due to\b/, specificity: 0.4 },
+    { name: "cargo test", re: /^\s*test \S+ \.\.\. FAILED$/, specificity: 0.85 },
+    { name: "cargo test", re: /^\s*thread '.+' panicked at\b/, specificity: 0.75 },
+    { name: "cargo test", re: /^\s*error: test failed, to rerun pass\b/, specificity: 0.6 },
+    { name: "cargo test", re: /\btest result: FAILED\b/, specificity: 0.5 },
+    { name: "Cargo", re: /^\s*error: failed to (select a version|load source|download|get|parse manifest)\b/, specificity: 0.8 }
+  ],
+  hints: {
+    Rust: [
+      "Fix the first `error[E…]`; run `cargo check` locally and `rustc --explain E…` for details.",
+      "If it only fails in CI, compare the toolchain (`rust-toolchain.toml`) and enabled features."
+    ],
+    "cargo test": [
+      "Run the failing test locally with `cargo test <name> -- --nocapture` to see the panic message.",
+      "If it's flaky, check for shared state between tests or use `--test-threads=1` to confirm."
+    ],
+    Cargo: [
+      "Check `Cargo.toml` version requirements and run `cargo update -p <crate>` if the lockfile is stale.",
+      "For registry/git dependencies, verify network access and authentication in CI."
+    ]
+  },
+  runbookSlugs: { Rust: "rust", "cargo test": "cargo-test", Cargo: "cargo" },
+  deployRisk: { Rust: "high", "cargo test": "medium", Cargo: "high" },
+  severity: { Rust: "medium", "cargo test": "medium", Cargo: "high" }
+};
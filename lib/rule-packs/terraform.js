@@ -0,0 +1,21 @@
+// Terraform: validate/plan errors, provider installation and state locking.
+
+export default {
+  id: "terraform",
+  name: "Terraform",
+  rules: [
+    { name: "Terraform", re: /^\s*│\s*Error: /, specificity: 0.9 },
+    { name: "Terraform", re: /^\s*Error: (Unsupported (argument|attribute|block type)|Missing required argument|Reference to undeclared|Invalid (reference|value|function argument))\b/, specificity: 0.85 },
+    { name: "Terraform", re: /\bError: Failed to (query available provider packages|install provider)\b/, specificity: 0.85 },
+    { name: "Terraform", re: /\bError acquiring the state lock\b/, specificity: 0.9 }
+  ],
+  hints: {
+    Terraform: [
+      "Run `terraform init && terraform validate` locally; the `Error:` block names the file, line and resource.",
+      "For provider or state-lock errors, check provider version constraints, backend credentials and any stuck locks."
+    ]
+  },
+  runbookSlugs: { Terraform: "terraform" },
+  deployRisk: { Terraform: "high" },
+  severity: { Terraform: "high" }
+};
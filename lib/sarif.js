@@ -0,0 +1,89 @@
+import fs from "fs";
+import path from "path";
+
+import { extractFilePaths, hitSignature } from "./error-detector.js";
+import { parseLocation } from "./annotations.js";
+import { sha1 } from "./utils.js";
+
+// SARIF 2.1.0 export of the findings that feed failures_json, for upload to
+// code scanning.
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const TOOL_NAME = "CI Failure Analyzer";
+const FINGERPRINT_KEY = "ciFailurePattern/v1";
+
+// -------------------- Results --------------------
+
+// Prefers a parsed file:line, then the first path extractFilePaths finds,
+// then the test report's file. Code scanning needs a location, so anything
+// else is reported against the workflow file.
+function physicalLocation(hit, fallbackPath) {
+  const loc = parseLocation(hit.line, hit.excerpt);
+  if (loc) {
+    return {
+      artifactLocation: { uri: loc.path, uriBaseId: "%SRCROOT%" },
+      region: { startLine: loc.line, ...(loc.column ? { startColumn: loc.column } : {}) }
+    };
+  }
+
+  const [filePath] = extractFilePaths(hit.line, hit.excerpt);
+  const uri = filePath || hit.testCase?.file || fallbackPath;
+  return uri ? { artifactLocation: { uri, uriBaseId: "%SRCROOT%" } } : null;
+}
+
+// findings: [{ hit, normalized, hint, jobName, category }]
+function buildSarif(findings, { runUrl = "", fallbackPath = "" } = {}) {
+  const rules = new Map();
+  const results = [];
+
+  for (const f of findings) {
+    if (!rules.has(f.hit.rule)) {
+      rules.set(f.hit.rule, {
+        id: f.hit.rule,
+        name: f.hit.rule,
+        shortDescription: { text: `${f.hit.rule} failure in CI` },
+        help: { text: f.hint, markdown: f.hint },
+        properties: { category: f.category }
+      });
+    }
+
+    const location = physicalLocation(f.hit, fallbackPath);
+    results.push({
+      ruleId: f.hit.rule,
+      ruleIndex: [...rules.keys()].indexOf(f.hit.rule),
+      level: "error",
+      message: { text: f.normalized },
+      ...(location ? { locations: [{ physicalLocation: location }] } : {}),
+      partialFingerprints: { [FINGERPRINT_KEY]: sha1(hitSignature(f.hit)) },
+      properties: {
+        job: f.jobName,
+        step: f.hit.stepName,
+        confidence: f.hit.confidence,
+        ...(runUrl ? { runUrl } : {})
+      }
+    });
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [{
+      tool: { driver: { name: TOOL_NAME, rules: [...rules.values()] } },
+      results
+    }]
+  };
+}
+
+// Writes the document even when there are no findings: an empty run is what
+// tells code scanning that earlier alerts are fixed.
+function writeSarifFile(findings, { filePath, runUrl, fallbackPath } = {}) {
+  const sarif = buildSarif(findings, { runUrl, fallbackPath });
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(sarif, null, 2) + "\n", "utf8");
+  return sarif;
+}
+
+export {
+  buildSarif,
+  writeSarifFile
+};
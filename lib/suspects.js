@@ -0,0 +1,149 @@
+import { listRunJobsCached } from "./error-detector.js";
+import { samePath } from "./utils.js";
+
+// Finds the commits that landed between the job's last green run and the
+// failing run, and ranks the ones that touch the failing files first.
+
+const GREEN_RUN_LOOKBACK = 30;
+const MAX_INSPECTED_COMMITS = 20;
+const MAX_LISTED_COMMITS = 5;
+
+// Tool config a failing step reads, per rule. The workflow file itself always
+// counts as config.
+const RULE_CONFIG_FILES = {
+  TypeScript: /(^|\/)tsconfig[\w.-]*\.json$/,
+  ESLint: /(^|\/)(\.eslintrc[\w.]*|eslint\.config\.[cm]?[jt]s)$/,
+  npm: /(^|\/)(package\.json|package-lock\.json|npm-shrinkwrap\.json|pnpm-lock\.yaml|yarn\.lock|\.npmrc|\.nvmrc)$/,
+  "Jest/Vitest": /(^|\/)(jest|vitest)\.config\.[\w.]+$/,
+  Build: /(^|\/)(vite|webpack)\.config\.[\w.]+$/,
+  Docker: /(^|\/)(Dockerfile[\w.-]*|\.dockerignore|docker-compose[\w.-]*\.ya?ml)$/,
+  pytest: /(^|\/)(pytest\.ini|conftest\.py|pyproject\.toml|setup\.cfg|tox\.ini)$/,
+  mypy: /(^|\/)(mypy\.ini|\.mypy\.ini|pyproject\.toml|setup\.cfg)$/,
+  "ruff/flake8": /(^|\/)(\.?ruff\.toml|\.flake8|pyproject\.toml|setup\.cfg)$/,
+  pip: /(^|\/)(requirements[\w.-]*\.txt|pyproject\.toml|setup\.py|poetry\.lock|Pipfile(\.lock)?)$/,
+  Go: /(^|\/)go\.(mod|sum)$/,
+  Java: /(^|\/)(pom\.xml|build\.gradle(\.kts)?)$/,
+  Maven: /(^|\/)pom\.xml$/,
+  Gradle: /(^|\/)(build\.gradle(\.kts)?|settings\.gradle(\.kts)?|gradle\.properties)$/,
+  JUnit: /(^|\/)(pom\.xml|build\.gradle(\.kts)?)$/
+};
+
+// -------------------- Last green run --------------------
+
+async function findLastGreenRun(octokit, { owner, repo, workflowId, branch, runId, createdAt, jobName, cache }) {
+  const runs = await octokit.rest.actions.listWorkflowRuns({
+    owner, repo, workflow_id: workflowId, branch, status: "completed", per_page: GREEN_RUN_LOOKBACK
+  });
+
+  for (const run of runs.data.workflow_runs) {
+    if (run.id === runId || (createdAt && new Date(run.created_at) >= new Date(createdAt))) continue;
+
+    const jobs = await listRunJobsCached(octokit, cache, { owner, repo, runId: run.id });
+    const latest = jobs
+      .filter((j) => j.name === jobName)
+      .sort((x, y) => (y.run_attempt || 1) - (x.run_attempt || 1))[0];
+    if (latest?.conclusion === "success") return run;
+  }
+  return null;
+}
+
+// -------------------- Ranking --------------------
+
+// A commit touching a file named in the errors outranks one that only changes
+// config; the number of matching files doesn't matter.
+function rankCommit(files, { filePaths, configFile, workflowPath }) {
+  const touched = files.filter((f) => filePaths.some((p) => samePath(f, p)));
+  const config = files.filter((f) => !touched.includes(f) && (f === workflowPath || configFile?.test(f)));
+
+  return {
+    score: (touched.length > 0 ? 3 : 0) + (config.length > 0 ? 2 : 0),
+    reasons: [...touched.map((f) => `touches ${f}`), ...config.map((f) => `changes ${f}`)].slice(0, 3)
+  };
+}
+
+async function commitDetails(octokit, cache, { owner, repo, sha }) {
+  const key = `commit:${sha}`;
+  if (!cache.has(key)) {
+    cache.set(key, (async () => {
+      const [commit, prs] = await Promise.all([
+        octokit.rest.repos.getCommit({ owner, repo, ref: sha, per_page: 100 }),
+        octokit.rest.repos.listPullRequestsAssociatedWithCommit({ owner, repo, commit_sha: sha }).catch(() => ({ data: [] }))
+      ]);
+      return {
+        files: (commit.data.files || []).map((f) => f.filename),
+        prs: prs.data.map((p) => ({ number: p.number, url: p.html_url, title: p.title }))
+      };
+    })());
+  }
+  return cache.get(key);
+}
+
+// -------------------- Suspects --------------------
+
+// Returns null when there is no earlier green run to compare with. Only the
+// most recent commits are inspected for files and PRs.
+async function findSuspectCommits(octokit, {
+  owner, repo, workflowId, workflowPath, branch, headSha, runId, createdAt, jobName, rules, filePaths, cache = new Map()
+}) {
+  if (!workflowId || !branch || !headSha) return null;
+
+  const green = await findLastGreenRun(octokit, { owner, repo, workflowId, branch, runId, createdAt, jobName, cache });
+  if (!green) return null;
+
+  const base = { baseSha: green.head_sha, baseRunUrl: green.html_url, headSha };
+  if (green.head_sha === headSha) return { ...base, totalCommits: 0, commits: [] };
+
+  const compareKey = `compare:${green.head_sha}...${headSha}`;
+  if (!cache.has(compareKey)) {
+    cache.set(compareKey, octokit.rest.repos.compareCommitsWithBasehead({
+      owner, repo, basehead: `${green.head_sha}...${headSha}`, per_page: 100
+    }).then((r) => r.data));
+  }
+  const comparison = await cache.get(compareKey);
+
+  const configFiles = rules.map((r) => RULE_CONFIG_FILES[r]).filter(Boolean);
+  const configFile = configFiles.length > 0 ? { test: (f) => configFiles.some((re) => re.test(f)) } : null;
+
+  const recent = comparison.commits.slice(-MAX_INSPECTED_COMMITS).reverse();
+  const commits = [];
+  for (const c of recent) {
+    const details = await commitDetails(octokit, cache, { owner, repo, sha: c.sha });
+    commits.push({
+      sha: c.sha,
+      message: (c.commit?.message || "").split("\n")[0],
+      author: c.author?.login || c.commit?.author?.name || "",
+      url: c.html_url,
+      prs: details.prs,
+      ...rankCommit(details.files, { filePaths, configFile, workflowPath })
+    });
+  }
+
+  // Stable sort: equal scores stay newest first
+  commits.sort((a, b) => b.score - a.score);
+
+  return { ...base, totalCommits: comparison.total_commits ?? comparison.commits.length, commits };
+}
+
+function formatSuspects(suspects) {
+  const since = `[\`${suspects.baseSha.slice(0, 7)}\`](${suspects.baseRunUrl})`;
+  if (suspects.totalCommits === 0) {
+    return `- **Suspect commits:** none — the last green run ${since} was on the same commit, so this is likely flaky or environmental\n`;
+  }
+
+  const lines = suspects.commits.slice(0, MAX_LISTED_COMMITS).map((c) => {
+    const prs = c.prs.map((p) => `[#${p.number}](${p.url})`).join(", ");
+    const why = c.reasons.length > 0 ? ` — **${c.reasons.join(", ")}**` : "";
+    return `  - [\`${c.sha.slice(0, 7)}\`](${c.url}) ${c.message.replace(/[<>]/g, "")}` +
+      (c.author ? ` by ${c.author}` : "") + (prs ? ` ${prs}` : "") + why + "\n";
+  }).join("");
+  const more = suspects.totalCommits > MAX_LISTED_COMMITS
+    ? `  - …and ${suspects.totalCommits - MAX_LISTED_COMMITS} more\n`
+    : "";
+
+  return `- **Suspect commits** since the last green run ${since} (${suspects.totalCommits}):\n${lines}${more}`;
+}
+
+export {
+  findSuspectCommits,
+  formatSuspects
+};
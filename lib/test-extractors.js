@@ -0,0 +1,210 @@
+// Test-runner-specific extractors. Given the line a rule matched, each one
+// looks around it for the suite, test name and first assertion message so
+// that failures can be tracked per test instead of per matching line.
+
+const SEARCH_WINDOW = 300;
+
+function clean(line) {
+  return (line ?? "")
+    .toString()
+    .replace(/^\uFEFF?\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d+Z\s?/, "")
+    .replace(/\x1b\[[0-9;]*m/g, "")
+    .trimEnd();
+}
+
+function scanForward(lines, from, fn, limit = SEARCH_WINDOW) {
+  const end = Math.min(lines.length, from + limit);
+  for (let i = from; i < end; i++) {
+    const r = fn(clean(lines[i]), i);
+    if (r != null) return r;
+  }
+  return null;
+}
+
+function scanBackward(lines, from, fn, limit = SEARCH_WINDOW) {
+  const end = Math.max(0, from - limit);
+  for (let i = from; i >= end; i--) {
+    const r = fn(clean(lines[i]), i);
+    if (r != null) return r;
+  }
+  return null;
+}
+
+function firstMessageAfter(lines, from, { skip = () => false, stop = () => false } = {}) {
+  return scanForward(lines, from, (l) => {
+    if (stop(l)) return "";
+    const t = l.trim();
+    if (!t || skip(t)) return null;
+    return t;
+  }, 40) || "";
+}
+
+// -------------------- Jest / Vitest --------------------
+
+const JEST_FAIL_RE = /^\s*FAIL\s+(\S+)/;
+const JEST_TEST_RE = /^\s*●\s+(.+?)\s*$/;
+const VITEST_FAIL_RE = /^\s*FAIL\s+(\S+)\s+>\s+(.+?)\s*$/;
+
+function extractJest(lines, idx) {
+  // The matched line may be the FAIL header, a ● test header, or an assertion
+  // somewhere inside the block.
+  let testIdx = -1;
+  let testName = "";
+
+  const here = clean(lines[idx]);
+
+  // Vitest: "FAIL  src/x.test.ts > suite > test" followed by the error.
+  const vitest = here.match(VITEST_FAIL_RE);
+  if (vitest) {
+    const parts = vitest[2].split(/\s+>\s+/);
+    const test = parts.pop();
+    const message = firstMessageAfter(lines, idx + 1, { stop: (l) => JEST_FAIL_RE.test(l) });
+    return { suite: [vitest[1], ...parts].join(" › "), test, message };
+  }
+
+  if (JEST_FAIL_RE.test(here)) {
+    const found = scanForward(lines, idx + 1, (l, i) => {
+      const m = l.match(JEST_TEST_RE);
+      if (m && !/^Console\b/.test(m[1])) return { i, name: m[1] };
+      return null;
+    });
+    if (found) ({ i: testIdx, name: testName } = found);
+  } else {
+    const found = scanBackward(lines, idx, (l, i) => {
+      const m = l.match(JEST_TEST_RE);
+      if (m && !/^Console\b/.test(m[1])) return { i, name: m[1] };
+      return null;
+    });
+    if (found) ({ i: testIdx, name: testName } = found);
+  }
+
+  if (testIdx === -1) return null;
+
+  const file = scanBackward(lines, testIdx, (l) => l.match(JEST_FAIL_RE)?.[1]) || "";
+  const parts = testName.split(/\s+›\s+/);
+  const test = parts.pop();
+  const suite = [file, ...parts].filter(Boolean).join(" › ");
+  const message = firstMessageAfter(lines, testIdx + 1, {
+    stop: (l) => JEST_TEST_RE.test(l) || JEST_FAIL_RE.test(l)
+  });
+
+  return { suite, test, message };
+}
+
+// -------------------- pytest --------------------
+
+const PYTEST_SUMMARY_RE = /^\s*(?:FAILED|ERROR)\s+(\S+\.py)(?:::(\S+))?(?:\s+-\s+(.*))?$/;
+const PYTEST_HEADER_RE = /^_{3,}\s+(?:ERROR (?:at \w+ of|collecting)\s+)?(\S+?)\s+_{3,}$/;
+
+function extractPytest(lines, idx) {
+  const here = clean(lines[idx]);
+  const m = here.match(PYTEST_SUMMARY_RE);
+  if (m) {
+    const ids = (m[2] || "").split("::");
+    const test = ids.pop() || m[1];
+    const suite = [m[1], ...ids].join("::");
+    return { suite, test, message: (m[3] || "").trim() };
+  }
+
+  // Inside a failure block: "____ TestClass.test_name ____" followed by "E   ..." lines.
+  const header = scanBackward(lines, idx, (l, i) => {
+    const h = l.match(PYTEST_HEADER_RE);
+    return h ? { i, name: h[1] } : null;
+  });
+  if (!header) return null;
+
+  const nameParts = header.name.split(".");
+  const test = nameParts.pop();
+  const file = scanForward(lines, header.i + 1, (l) => l.match(/^(\S+\.py):\d+:/)?.[1], 200) || "";
+  const suite = [file, ...nameParts].filter(Boolean).join("::");
+  const message = scanForward(lines, header.i + 1, (l) => {
+    const e = l.match(/^E\s+(.+)$/);
+    return e ? e[1].trim() : null;
+  }, 200) || "";
+
+  return { suite, test, message };
+}
+
+// -------------------- Go --------------------
+
+const GO_FAIL_RE = /^\s*--- FAIL:\s+(\S+)/;
+const GO_PKG_FAIL_RE = /^FAIL\s+(\S+)\s+[\d.]+s$/;
+const GO_MSG_RE = /^\s+\S+_test\.go:\d+:\s*(.+)$/;
+
+function extractGo(lines, idx) {
+  const fail = scanForward(lines, idx, (l, i) => {
+    const m = l.match(GO_FAIL_RE);
+    return m ? { i, test: m[1] } : null;
+  }, 1) || scanBackward(lines, idx, (l, i) => {
+    const m = l.match(GO_FAIL_RE);
+    return m ? { i, test: m[1] } : null;
+  }, 50);
+  if (!fail) return null;
+
+  const { i: start, test } = fail;
+  const pkg = scanForward(lines, start + 1, (l) => l.match(GO_PKG_FAIL_RE)?.[1], 500) || "";
+
+  // Non-verbose output prints messages after "--- FAIL"; -v prints them
+  // between "=== RUN" and "--- FAIL".
+  let message = scanForward(lines, start + 1, (l) => {
+    if (GO_FAIL_RE.test(l) || /^(FAIL|ok)\s/.test(l)) return "";
+    return l.match(GO_MSG_RE)?.[1] || null;
+  }, 40) || "";
+  if (!message) {
+    message = scanBackward(lines, start - 1, (l) => {
+      if (l.includes(`=== RUN   ${test}`) || /^\s*--- (PASS|FAIL)/.test(l)) return "";
+      return l.match(GO_MSG_RE)?.[1] || null;
+    }, 100) || "";
+  }
+
+  return { suite: pkg, test, message: message.trim() };
+}
+
+// -------------------- JUnit (Maven Surefire / Gradle) --------------------
+
+const SUREFIRE_OLD_RE = /(?:\[ERROR\]\s+)?(\w+)\(([\w.$]+)\)\s+Time elapsed:.*<<<\s*(?:FAILURE|ERROR)!/;
+const SUREFIRE_NEW_RE = /(?:\[ERROR\]\s+)?([\w.$]+)\.(\w+)\s+--\s+Time elapsed:.*<<<\s*(?:FAILURE|ERROR)!/;
+const GRADLE_RE = /^\s*([\w.$]+)\s+>\s+(.+?)\s+FAILED\s*$/;
+
+function extractJUnit(lines, idx) {
+  const match = (l, i) => {
+    let m = l.match(SUREFIRE_OLD_RE);
+    if (m) return { i, suite: m[2], test: m[1] };
+    m = l.match(SUREFIRE_NEW_RE);
+    if (m) return { i, suite: m[1], test: m[2] };
+    m = l.match(GRADLE_RE);
+    if (m) return { i, suite: m[1], test: m[2] };
+    return null;
+  };
+
+  const found = scanForward(lines, idx, match, 200) || scanBackward(lines, idx, match, 200);
+  if (!found) return null;
+
+  const message = firstMessageAfter(lines, found.i + 1, {
+    skip: (t) => /^\[ERROR\]\s*$/.test(t),
+    stop: (l) => Boolean(match(l, 0))
+  }).replace(/^\[ERROR\]\s*/, "");
+
+  return { suite: found.suite, test: found.test, message };
+}
+
+// -------------------- Dispatch --------------------
+
+const EXTRACTORS = {
+  "Jest/Vitest": extractJest,
+  pytest: extractPytest,
+  Go: extractGo,
+  JUnit: extractJUnit
+};
+
+function extractTestFailure(ruleName, lines, lineIndex) {
+  const fn = EXTRACTORS[ruleName];
+  if (!fn) return null;
+  const r = fn(lines, lineIndex);
+  if (!r || !r.test) return null;
+  return { suite: r.suite || "", test: r.test, message: r.message || "" };
+}
+
+export {
+  extractTestFailure
+};
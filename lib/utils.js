@@ -20,15 +20,60 @@ function sha1(s) {
   return crypto.createHash("sha1").update(String(s)).digest("hex");
 }
 
+// Whether two repository paths name the same file, when one of them may be a
+// suffix (errors often print paths relative to a package directory).
+function samePath(a, b) {
+  return a === b || a.endsWith("/" + b) || b.endsWith("/" + a);
+}
+
+// -------------------- Normalization --------------------
+
+// Applied in order. Anything that varies between runs of the same failure is
+// masked so the line hashes to the same signature. User replacements run
+// right after timestamps are stripped, so they see the line as logged.
+// `optIn` steps are off unless enabled: turning them on changes the hash of
+// patterns tracked before they existed.
+const DEFAULT_NORMALIZERS = [
+  { name: "timestamp", pattern: /^\uFEFF?\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d+Z\s+/g, replacement: "" },
+  { name: "uuid", optIn: true, pattern: /\b[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}\b/g, replacement: "<uuid>" },
+  { name: "temp-path", optIn: true, pattern: /(?:\/tmp|\/var\/folders\/\w+\/\w+\/T|(?:\/home\/runner\/work|\/__w|[A-Z]:\\a)[\\/]_temp)[\\/][\w.-]+/g, replacement: "<tmp>" },
+  { name: "workspace-path", optIn: true, pattern: /(?:\/home\/runner\/work|\/Users\/runner\/work|\/__w|[A-Z]:\\a)[\\/][^\\/\s]+[\\/][^\\/\s]+[\\/]/g, replacement: "" },
+  { name: "port", optIn: true, pattern: /\b(localhost|127\.0\.0\.1|0\.0\.0\.0|\[::1?\]):\d{2,5}\b/g, replacement: "$1:<port>" },
+  { name: "seed", optIn: true, pattern: /\b((?:random(?:ly)?[-_ ])?seed\b[\s:=]+)\d+/gi, replacement: "$1<seed>" },
+  { name: "duration", optIn: true, pattern: /\b\d+(?:\.\d+)?\s?(?:ms|s|secs?|seconds?|m|mins?|minutes?|h)\b/g, replacement: "<duration>" },
+  { name: "hex", pattern: /\b0x[0-9a-fA-F]+\b/g, replacement: "0x…" },
+  { name: "sha", pattern: /\b[0-9a-f]{7,40}\b/g, replacement: "…sha…" },
+  { name: "line-col", pattern: /:\d+:\d+/g, replacement: ":<line>:<col>" },
+  { name: "line", pattern: /:\d+/g, replacement: ":<line>" }
+];
+
+const NORMALIZER_NAMES = DEFAULT_NORMALIZERS.map((n) => n.name);
+const OPT_IN_NORMALIZER_NAMES = DEFAULT_NORMALIZERS.filter((n) => n.optIn).map((n) => n.name);
+
+let activeNormalizers = DEFAULT_NORMALIZERS.filter((n) => !n.optIn);
+
+// `enable` turns on opt-in steps by name ("all" for every one); `disable`
+// drops built-in steps by name; `replacements` are
+// { name?, pattern, replacement?, flags? } entries compiled as global regexes.
+function configureNormalizers({ enable = [], disable = [], replacements = [] } = {}) {
+  const custom = replacements.map((r, i) => ({
+    name: r.name || `custom-${i + 1}`,
+    pattern: new RegExp(r.pattern, (r.flags || "").replace(/g/g, "") + "g"),
+    replacement: r.replacement ?? ""
+  }));
+  const builtin = DEFAULT_NORMALIZERS.filter((n) =>
+    (!n.optIn || enable.includes("all") || enable.includes(n.name)) && !disable.includes(n.name));
+  activeNormalizers = [
+    ...builtin.filter((n) => n.name === "timestamp"),
+    ...custom,
+    ...builtin.filter((n) => n.name !== "timestamp")
+  ];
+}
+
 function normalize(line) {
-  return (line ?? "")
-    .toString()
-    .replace(/^\uFEFF?\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d+Z\s+/g, "")
-    .replace(/\b0x[0-9a-fA-F]+\b/g, "0x…")
-    .replace(/\b[0-9a-f]{7,40}\b/g, "…sha…")
-    .replace(/:\d+:\d+/g, ":<line>:<col>")
-    .replace(/:\d+/g, ":<line>")
-    .trim();
+  let out = (line ?? "").toString();
+  for (const n of activeNormalizers) out = out.replace(n.pattern, n.replacement);
+  return out.trim();
 }
 
 function codeBlock(text, lang = "") {
@@ -36,12 +81,19 @@ function codeBlock(text, lang = "") {
   return `\n\`\`\`${lang}\n${safe}\n\`\`\`\n`;
 }
 
-async function upsertComment(octokit, { owner, repo, issue_number, body, marker }) {
+async function findComment(octokit, { owner, repo, issue_number, marker }) {
   const comments = await octokit.rest.issues.listComments({
     owner, repo, issue_number, per_page: 100
   });
+  return comments.data.find((c) => (c.body || "").includes(marker)) || null;
+}
+
+// Pass `existing` (a comment or null) when the caller already looked it up.
+async function upsertComment(octokit, { owner, repo, issue_number, body, marker, existing }) {
+  if (existing === undefined) {
+    existing = await findComment(octokit, { owner, repo, issue_number, marker });
+  }
 
-  const existing = comments.data.find((c) => (c.body || "").includes(marker));
   if (existing) {
     await octokit.rest.issues.updateComment({
       owner, repo, comment_id: existing.id, body
@@ -70,13 +122,22 @@ async function getRunContext(octokit) {
     } catch {
       prs = [];
     }
-    return { owner, repo, runId, prNumbers: prs };
+    return {
+      owner, repo, runId,
+      runAttempt: ctx.payload.workflow_run.run_attempt || 1,
+      branch: ctx.payload.workflow_run.head_branch || "",
+      sha: ctx.payload.workflow_run.head_sha || "",
+      prNumbers: prs
+    };
   }
 
   return {
     owner: ctx.repo.owner,
     repo: ctx.repo.repo,
     runId: ctx.runId,
+    runAttempt: ctx.runAttempt || 1,
+    branch: ctx.payload?.pull_request?.head?.ref || (ctx.ref || "").replace(/^refs\/heads\//, ""),
+    sha: ctx.payload?.pull_request?.head?.sha || ctx.sha || "",
     prNumbers: ctx.payload?.pull_request ? [ctx.payload.pull_request.number] : []
   };
 }
@@ -85,8 +146,13 @@ export {
   toBool,
   clampInt,
   sha1,
+  samePath,
+  NORMALIZER_NAMES,
+  OPT_IN_NORMALIZER_NAMES,
+  configureNormalizers,
   normalize,
   codeBlock,
+  findComment,
   upsertComment,
   getRunContext
 };
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { decideAutoRetry } from "../lib/auto-retry.js";
+
+function analysis(name, conclusion, jobVerdict, { flaky = false } = {}) {
+  return { job: { name, conclusion }, jobVerdict, flaky: flaky ? { isFlaky: true } : null };
+}
+
+const decide = (analyses) => decideAutoRetry({
+  analyses, failedJobCount: analyses.length, runAttempt: 1, maxRetries: 1, canRerun: true
+});
+
+test("retries when every failed job is infrastructure or flaky", () => {
+  const decision = decide([analysis("build", "failure", "infra"), analysis("test", "failure", "code", { flaky: true })]);
+
+  assert.equal(decision.retry, true);
+});
+
+test("a cancelled-only run is not retried", () => {
+  const decision = decide([analysis("deploy", "cancelled", "cancelled")]);
+
+  assert.deepEqual(decision, { retry: false, attempt: 1, reason: "job \"deploy\" was cancelled" });
+});
+
+test("a cancelled job blocks the retry of a flaky sibling", () => {
+  const decision = decide([
+    analysis("test", "failure", "code", { flaky: true }),
+    analysis("lint", "cancelled", "cancelled")
+  ]);
+
+  assert.equal(decision.retry, false);
+  assert.equal(decision.reason, "job \"lint\" was cancelled");
+});
+
+test("a cancelled job stays blocking even when its log shows infrastructure", () => {
+  const decision = decide([analysis("e2e", "cancelled", "infra")]);
+
+  assert.equal(decision.retry, false);
+});
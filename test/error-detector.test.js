@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { findAllErrorsInText, findAllErrorsAcrossTexts, findFirstErrorInText, hitSignature, jobAnnotationsToHits, mergeJobAnnotationHits, parseCustomRules, classifyCategory, classifyJobVerdict, classifyRunVerdict } from "../lib/error-detector.js";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+test("anchored Jest rules match timestamped job log lines", () => {
+  const hit = findFirstErrorInText({ text: fixture("jest-three-failures.log"), fileName: "test/4_Run npm test.txt" });
+
+  assert.equal(hit.rule, "Jest/Vitest");
+  assert.equal(hit.exitCode, 1);
+  assert.equal(hitSignature(hit), "Jest/Vitest: src/math.test.ts › math › adds numbers");
+});
+
+test("each failing Jest test gets its own signature in multi-hit mode", () => {
+  const hits = findAllErrorsInText({ text: fixture("jest-three-failures.log"), fileName: "job.txt", maxHits: 10 });
+
+  assert.deepEqual(hits.map(hitSignature), [
+    "Jest/Vitest: src/math.test.ts › math › adds numbers",
+    "Jest/Vitest: src/math.test.ts › math › multiplies numbers",
+    "Jest/Vitest: src/math.test.ts › math › divides numbers"
+  ]);
+});
+
+test("priority: high custom rules win over better-scored built-in hits", () => {
+  const text = [
+    "2024-05-01T10:00:00.1000000Z ##[group]Run npm run deploy",
+    "2024-05-01T10:00:01.1000000Z deploy: release lock held by another job",
+    ...Array.from({ length: 400 }, (_, i) => `2024-05-01T10:00:02.${String(i).padStart(7, "0")}Z uploading chunk ${i}`),
+    "2024-05-01T10:00:03.1000000Z src/deploy.ts(12,5): error TS2322: Type 'string' is not assignable to type 'number'.",
+    "2024-05-01T10:00:03.2000000Z ##[error]Process completed with exit code 1."
+  ].join("\n");
+  const rule = { name: "ReleaseLock", pattern: "release lock held" };
+
+  const normal = findFirstErrorInText({ text, fileName: "job.txt", customRules: parseCustomRules([rule]) });
+  assert.equal(normal.rule, "TypeScript");
+
+  const high = findFirstErrorInText({ text, fileName: "job.txt", customRules: parseCustomRules([{ ...rule, priority: "high" }]) });
+  assert.equal(high.rule, "ReleaseLock");
+  assert.ok(high.score < normal.score);
+});
+
+test("cancelled jobs are labelled Cancelled, not Timeout", () => {
+  const hit = findFirstErrorInText({
+    text: [
+      "2024-05-01T10:00:00.1000000Z ##[group]Run npm run test:e2e",
+      "2024-05-01T10:00:40.1000000Z Running 42 tests using 2 workers",
+      "2024-05-01T10:01:10.1000000Z ##[error]The operation was canceled."
+    ].join("\n"),
+    fileName: "job.txt"
+  });
+
+  assert.equal(hit.rule, "Cancelled");
+});
+
+test("cancellations are their own category and verdict", () => {
+  const cancelled = { rule: "Cancelled" };
+  const infra = { rule: "Timeout" };
+  const code = { rule: "TypeScript" };
+
+  assert.equal(classifyCategory("Cancelled"), "cancelled");
+  assert.equal(classifyJobVerdict([cancelled], "cancelled"), "cancelled");
+  assert.equal(classifyJobVerdict([], "cancelled"), "cancelled");
+  assert.equal(classifyJobVerdict([cancelled, code], "failure"), "code");
+  assert.equal(classifyJobVerdict([cancelled, infra], "cancelled"), "infra");
+
+  assert.equal(classifyRunVerdict(["cancelled", "cancelled"]), "cancelled");
+  assert.equal(classifyRunVerdict(["code", "cancelled"]), "code");
+  assert.equal(classifyRunVerdict(["unknown", "cancelled"]), "cancelled");
+});
+
+test("multi-hit merges annotations into the failed step without dropping its log hits", () => {
+  const textFiles = [
+    { name: "1_Set up.txt", stepName: "Set up", text: "Error: ENOSPC: no space left on device\n" },
+    { name: "2_Install.txt", stepName: "Install", text: "Error: Cannot find module 'left-pad'\n" },
+    { name: "3_Build.txt", stepName: "Build", failed: true, text: "src/a.ts(3,1): error TS2322: Type 'string' is not assignable to type 'number'.\n" }
+  ];
+  const logHits = findAllErrorsAcrossTexts(textFiles, [], { maxHits: 10 });
+  const annotated = jobAnnotationsToHits([
+    { annotation_level: "failure", path: "src/b.ts", start_line: 7, message: "error TS2304: Cannot find name 'foo'." },
+    { annotation_level: "failure", path: "src/b.ts", start_line: 9, message: "error TS2304: Cannot find name 'foo'." },
+    { annotation_level: "failure", path: ".github", message: "Process completed with exit code 2." }
+  ], [], { stepName: "Build", knownHits: logHits });
+
+  assert.equal(annotated.length, 2);
+  assert.equal(annotated[0].lineIndex, null);
+  assert.equal(annotated[0].signature, hitSignature(annotated[0]));
+
+  const hits = mergeJobAnnotationHits(annotated, logHits, { maxHits: 3, stepName: "Build" });
+  assert.deepEqual(hits.map((h) => [h.stepName, h.fileName]), [
+    ["Set up", "1_Set up.txt"],
+    ["Build", "3_Build.txt"],
+    ["Build", "check run annotations"]
+  ]);
+});
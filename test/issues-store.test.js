@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createIssuesStore } from "../lib/pattern-stores/issues.js";
+import { computeTimeToFix } from "../lib/pattern-tracker.js";
+
+const HASH = "abcdef0123456789";
+
+// In-memory stand-in for the issue endpoints the store uses.
+function fakeOctokit(issues) {
+  const comments = [];
+  const byNumber = (n) => issues.find((i) => i.number === n);
+  const labelsOf = (i) => i.labels.map((l) => l.name);
+
+  const listForRepo = ({ labels, state }) => issues.filter((i) =>
+    (state === "all" || i.state === state) && labels.split(",").every((l) => labelsOf(i).includes(l)));
+
+  return {
+    comments,
+    paginate: async (fn, params) => fn(params),
+    rest: {
+      issues: {
+        listForRepo,
+        get: async ({ issue_number }) => ({ data: byNumber(issue_number) }),
+        update: async ({ issue_number, body, state, state_reason }) => {
+          const i = byNumber(issue_number);
+          if (body !== undefined) i.body = body;
+          if (state) {
+            i.state = state;
+            i.state_reason = state === "closed" ? state_reason || "completed" : null;
+            i.closed_at = state === "closed" ? "2024-05-03T00:00:00Z" : null;
+          }
+        },
+        createComment: async ({ issue_number, body }) => comments.push({ issue_number, body }),
+        removeLabel: async ({ issue_number, name }) => {
+          const i = byNumber(issue_number);
+          i.labels = i.labels.filter((l) => l.name !== name);
+        },
+        addLabels: async ({ issue_number, labels }) => byNumber(issue_number).labels.push(...labels.map((name) => ({ name })))
+      },
+      search: {
+        issuesAndPullRequests: async () => ({ data: { items: [] } })
+      }
+    }
+  };
+}
+
+function patternIssue(number, createdAt) {
+  return {
+    number,
+    title: `[CI Pattern ${HASH.slice(0, 8)}] TypeScript: error TS2322`,
+    state: "open",
+    state_reason: null,
+    labels: [{ name: "ci-failure-pattern" }, { name: "severity:medium" }, { name: `pattern:${HASH.slice(0, 8)}` }],
+    created_at: createdAt,
+    closed_at: null,
+    body: "<!-- pattern-signature:v0 -->\n\n**Signature:**\n```\nTypeScript: error TS2322\n```\n",
+    html_url: `https://github.com/o/r/issues/${number}`
+  };
+}
+
+test("reconcile merges a duplicate once and leaves it alone afterwards", async () => {
+  const issues = [patternIssue(1, "2024-05-01T00:00:00Z"), patternIssue(2, "2024-05-02T00:00:00Z")];
+  const octokit = fakeOctokit(issues);
+  const store = createIssuesStore(octokit, { owner: "o", repo: "r", label: "ci-failure-pattern" });
+
+  assert.deepEqual(await store.reconcile(), [{ issueNumber: 1, duplicates: [2] }]);
+  assert.equal(octokit.comments.length, 2);
+
+  assert.deepEqual(await store.reconcile(), []);
+  assert.deepEqual(await store.reconcile(), []);
+  assert.equal(octokit.comments.length, 2);
+});
+
+test("merged duplicates are not listed and don't count as fixes", async () => {
+  const issues = [patternIssue(1, "2024-05-01T00:00:00Z"), patternIssue(2, "2024-05-02T00:00:00Z")];
+  const store = createIssuesStore(fakeOctokit(issues), { owner: "o", repo: "r", label: "ci-failure-pattern" });
+  await store.reconcile();
+
+  assert.deepEqual((await store.list({ withOccurrences: false })).map((p) => p.issueNumber), [1]);
+  assert.deepEqual(await computeTimeToFix(store), {});
+});
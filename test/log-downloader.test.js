@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import AdmZip from "adm-zip";
+
+import { extractTextFilesFromZip } from "../lib/log-downloader.js";
+
+const TS = "2024-05-01T10:00:00.1234567Z";
+
+function logsZip(entries) {
+  const zip = new AdmZip();
+  for (const [name, text] of Object.entries(entries)) zip.addFile(name, Buffer.from(text, "utf8"));
+  return zip.toBuffer();
+}
+
+const noise = (kb) => `${TS} ${"x".repeat(1023)}\n`.repeat(kb);
+
+test("without step data the last workflow step is read first", () => {
+  const zipBuf = logsZip({
+    "build/1_Set up job.txt": noise(40),
+    "build/2_Run actions_checkout@v4.txt": noise(40),
+    "build/3_Run npm test.txt": `${TS} FAIL src/a.test.ts\n${TS} ##[error]Process completed with exit code 1.\n`,
+    "build/4_Post Run actions_checkout@v4.txt": noise(40),
+    "build/5_Complete job.txt": noise(40)
+  });
+
+  const files = extractTextFilesFromZip(zipBuf, { maxTotalBytes: 1024, minTailBytes: 64 });
+
+  assert.equal(files[0].name, "build/3_Run npm test.txt");
+  assert.equal(files[0].failed, true);
+  assert.ok(files.every((f) => f.name === "build/3_Run npm test.txt" || f.truncated));
+});
+
+test("a guessed step that logged no error is not marked failed", () => {
+  const zipBuf = logsZip({
+    "build/1_Run npm ci.txt": `${TS} npm ERR! code E404\n${TS} ##[error]Process completed with exit code 1.\n`,
+    "build/2_Run npm test.txt": `${TS} all good\n`
+  });
+
+  const files = extractTextFilesFromZip(zipBuf);
+
+  assert.deepEqual(files.map((f) => [f.stepName, f.failed]), [["Run npm ci", true], ["Run npm test", false]]);
+});
+
+test("failed step numbers only apply to the job's own folder", () => {
+  const zipBuf = logsZip({
+    "build/3_Run npm run build.txt": `${TS} ok\n`,
+    "test (ubuntu-latest)/3_Run npm test.txt": `${TS} FAIL src/a.test.ts\n`
+  });
+
+  const files = extractTextFilesFromZip(zipBuf, { failedSteps: [3], jobName: "test (ubuntu-latest)" });
+
+  assert.deepEqual(files.map((f) => [f.name, f.failed]), [
+    ["build/3_Run npm run build.txt", false],
+    ["test (ubuntu-latest)/3_Run npm test.txt", true]
+  ]);
+});
@@ -0,0 +1,119 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import { eventsForResult, buildPayload, deliverWebhook, notifyPatternEvents } from "../lib/notifications.js";
+
+// Local webhook stand-in: each request gets the next status from `replies`
+// (the last one repeats) and is recorded with its parsed body.
+let server;
+let baseUrl;
+let replies = [];
+let received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => {
+      received.push({ method: req.method, contentType: req.headers["content-type"], body: JSON.parse(body) });
+      res.statusCode = replies.length > 1 ? replies.shift() : replies[0];
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function reset(statuses) {
+  replies = statuses;
+  received = [];
+}
+
+const CTX = {
+  hash: "abcdef01", signature: "TypeScript: error TS2322", rule: "TypeScript", repo: "o/r", job: "build",
+  runUrl: "https://github.com/o/r/actions/runs/1"
+};
+
+test("delivery retries 5xx responses with backoff", async () => {
+  reset([503, 502, 200]);
+  const res = await deliverWebhook(baseUrl, JSON.stringify({ ok: 1 }), { baseDelayMs: 1 });
+
+  assert.deepEqual(res, { ok: true, status: 200, attempts: 3 });
+  assert.equal(received.length, 3);
+  assert.equal(received[0].method, "POST");
+  assert.equal(received[0].contentType, "application/json");
+});
+
+test("delivery gives up after the last attempt", async () => {
+  reset([500]);
+  const res = await deliverWebhook(baseUrl, "{}", { attempts: 2, baseDelayMs: 1 });
+
+  assert.deepEqual(res, { ok: false, status: 500, error: "HTTP 500", attempts: 2 });
+});
+
+test("delivery does not retry 4xx responses other than 429", async () => {
+  reset([400]);
+  const res = await deliverWebhook(baseUrl, "{}", { baseDelayMs: 1 });
+
+  assert.deepEqual(res, { ok: false, status: 400, error: "HTTP 400", attempts: 1 });
+  assert.equal(received.length, 1);
+
+  reset([429, 204]);
+  assert.equal((await deliverWebhook(baseUrl, "{}", { baseDelayMs: 1 })).attempts, 2);
+});
+
+test("network errors are retried and reported without throwing", async () => {
+  const res = await deliverWebhook("http://127.0.0.1:1/hook", "{}", { attempts: 2, baseDelayMs: 1 });
+
+  assert.equal(res.ok, false);
+  assert.equal(res.status, 0);
+  assert.equal(res.attempts, 2);
+});
+
+test("payloads for each format", () => {
+  const ctx = { ...CTX, severity: "high", occurrences: 3, patternUrl: "https://github.com/o/r/issues/7" };
+
+  assert.deepEqual(JSON.parse(buildPayload("created", ctx)), {
+    event: "created",
+    title: "New CI failure pattern (TypeScript, high severity)",
+    pattern: {
+      hash: "abcdef01", signature: "TypeScript: error TS2322", rule: "TypeScript", severity: "high",
+      occurrences: 3, url: "https://github.com/o/r/issues/7"
+    },
+    run: { url: "https://github.com/o/r/actions/runs/1", repo: "o/r", job: "build" }
+  });
+
+  const slack = JSON.parse(buildPayload("threshold", ctx, { format: "slack" }));
+  assert.equal(slack.text, "CI failure pattern reached 3 occurrences (TypeScript): TypeScript: error TS2322");
+
+  const teams = JSON.parse(buildPayload("reopened", ctx, { format: "teams" }));
+  assert.equal(teams.attachments[0].content.body[0].text, "Closed CI failure pattern recurred (TypeScript)");
+
+  const templated = JSON.parse(buildPayload("escalated", { ...ctx, signature: "a \"quoted\" line" }, {
+    template: "{\"msg\": \"{{title}}: {{signature}}\"}"
+  }));
+  assert.equal(templated.msg, "CI failure pattern escalated to high severity (TypeScript): a \"quoted\" line");
+});
+
+test("escalation needs a known, lower previous severity", () => {
+  const updated = { kind: "updated", severity: "high", thresholdReached: false };
+
+  assert.deepEqual(eventsForResult({ ...updated, previousSeverity: "medium" }), ["escalated"]);
+  assert.deepEqual(eventsForResult({ ...updated, previousSeverity: "high" }), []);
+  assert.deepEqual(eventsForResult({ ...updated, previousSeverity: "unknown" }), []);
+  assert.deepEqual(eventsForResult({ ...updated, previousSeverity: null }), []);
+  assert.deepEqual(eventsForResult({ kind: "created", severity: "high", previousSeverity: null }), ["created"]);
+});
+
+test("only subscribed events are sent", async () => {
+  reset([200]);
+  const res = { kind: "reopened", severity: "high", previousSeverity: "low", thresholdReached: true, totalOccurrences: 5, url: "https://github.com/o/r/issues/7" };
+  const sent = await notifyPatternEvents({ url: baseUrl, events: ["reopened", "escalated"], format: "generic" }, res, CTX);
+
+  assert.deepEqual(sent.map((s) => [s.event, s.ok]), [["reopened", true], ["escalated", true]]);
+  assert.deepEqual(received.map((r) => r.body.event), ["reopened", "escalated"]);
+  assert.equal(received[0].body.pattern.occurrences, 5);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveRulePacks } from "../lib/rule-packs/index.js";
+import { enableRulePacks, findFirstErrorInText } from "../lib/error-detector.js";
+
+enableRulePacks(resolveRulePacks("all").packs);
+
+function firstRule(lines) {
+  return findFirstErrorInText({ text: lines.join("\n"), fileName: "job.txt" })?.rule;
+}
+
+test("rule pack rules match timestamped job log lines", () => {
+  assert.equal(firstRule([
+    "2024-05-01T10:00:00.1234567Z ##[group]Run cargo build --locked",
+    "2024-05-01T10:00:09.1234567Z error[E0308]: mismatched types",
+    "2024-05-01T10:00:09.1245678Z   --> src/main.rs:4:18",
+    "2024-05-01T10:00:09.2234567Z error: could not compile `app` (bin \"app\") due to 1 previous error",
+    "2024-05-01T10:00:09.3234567Z ##[error]Process completed with exit code 101."
+  ]), "Rust");
+
+  assert.equal(firstRule([
+    "2024-05-01T10:00:00.1234567Z ##[group]Run terraform validate",
+    "2024-05-01T10:00:03.1234567Z ╷",
+    "2024-05-01T10:00:03.1245678Z │ Error: Unsupported argument",
+    "2024-05-01T10:00:03.1256789Z │ ",
+    "2024-05-01T10:00:03.1267890Z │   on main.tf line 12, in resource \"aws_s3_bucket\" \"logs\":",
+    "2024-05-01T10:00:03.1278901Z ╵",
+    "2024-05-01T10:00:03.2234567Z ##[error]Process completed with exit code 1."
+  ]), "Terraform");
+
+  assert.equal(firstRule([
+    "2024-05-01T10:00:00.1234567Z ##[group]Run bundle exec rspec",
+    "2024-05-01T10:00:05.1234567Z   1) User#name returns the full name",
+    "2024-05-01T10:00:05.1245678Z      Failure/Error: expect(user.name).to eq(\"Ada Lovelace\")",
+    "2024-05-01T10:00:05.3234567Z ##[error]Process completed with exit code 1."
+  ]), "RSpec");
+});
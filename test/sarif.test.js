@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { writeSarifFile } from "../lib/sarif.js";
+
+test("a run without failures writes an empty SARIF run", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sarif-"));
+  const filePath = path.join(dir, "out", "ci-failures.sarif");
+  try {
+    writeSarifFile([], { filePath, runUrl: "https://github.com/o/r/actions/runs/1" });
+
+    const sarif = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    assert.equal(sarif.version, "2.1.0");
+    assert.equal(sarif.runs.length, 1);
+    assert.equal(sarif.runs[0].tool.driver.name, "CI Failure Analyzer");
+    assert.deepEqual(sarif.runs[0].tool.driver.rules, []);
+    assert.deepEqual(sarif.runs[0].results, []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,33 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { configureNormalizers, normalize } from "../lib/utils.js";
+
+const LINE = "2024-05-01T10:00:00.1234567Z Error: request 3f2504e0-4f89-11d3-9a0c-0305e82c3301 to 127.0.0.1:54321 failed after 5000ms at /home/runner/work/app/app/src/api.ts:12:5";
+
+// normalize() as it was before the normalizer pipeline; pattern hashes
+// tracked by earlier versions were computed with it.
+function legacyNormalize(line) {
+  return line
+    .replace(/^\uFEFF?\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d+Z\s+/g, "")
+    .replace(/\b0x[0-9a-fA-F]+\b/g, "0x…")
+    .replace(/\b[0-9a-f]{7,40}\b/g, "…sha…")
+    .replace(/:\d+:\d+/g, ":<line>:<col>")
+    .replace(/:\d+/g, ":<line>")
+    .trim();
+}
+
+afterEach(() => configureNormalizers());
+
+test("default normalization keeps signatures from before the opt-in steps", () => {
+  configureNormalizers();
+  assert.equal(normalize(LINE), legacyNormalize(LINE));
+});
+
+test("opt-in steps apply when enabled", () => {
+  configureNormalizers({ enable: ["all"] });
+  assert.equal(normalize(LINE), "Error: request <uuid> to 127.0.0.1:<port> failed after <duration> at src/api.ts:<line>:<col>");
+
+  configureNormalizers({ enable: ["uuid"] });
+  assert.match(normalize(LINE), /^Error: request <uuid> to 127\.0\.0\.1:<line> failed after 5000ms/);
+});